@@ -533,12 +533,15 @@ defmodule Schema.Generator do
   defp generate_data(_name, _, _), do: word()
 
   def name() do
-    Agent.get(__MODULE__, fn %Generator{names: {len, names}} -> random_word(len, names) end)
+    r = :rand.uniform_real()
+    Agent.get(__MODULE__, fn %Generator{names: {len, names}} -> random_word(r, len, names) end)
   end
 
   def names(n) do
+    rs = random_reals(n)
+
     Agent.get(__MODULE__, fn %Generator{names: {len, names}} ->
-      Enum.map(1..n, fn _ -> random_word(len, names) end)
+      Enum.map(rs, fn r -> random_word(r, len, names) end)
     end)
   end
 
@@ -547,12 +550,15 @@ defmodule Schema.Generator do
   end
 
   def word() do
-    Agent.get(__MODULE__, fn %Generator{words: {len, words}} -> random_word(len, words) end)
+    r = :rand.uniform_real()
+    Agent.get(__MODULE__, fn %Generator{words: {len, words}} -> random_word(r, len, words) end)
   end
 
   def words(n) do
+    rs = random_reals(n)
+
     Agent.get(__MODULE__, fn %Generator{words: {len, words}} ->
-      Enum.map(1..n, fn _ -> random_word(len, words) end)
+      Enum.map(rs, fn r -> random_word(r, len, words) end)
     end)
   end
 
@@ -586,9 +592,11 @@ defmodule Schema.Generator do
   end
 
   def file_ext() do
+    r = :rand.uniform_real()
+
     [ext, _] =
       Agent.get(__MODULE__, fn %Generator{files: {len, words}} ->
-        random_word(len, words)
+        random_word(r, len, words)
       end)
 
     ext
@@ -672,26 +680,39 @@ defmodule Schema.Generator do
     (12 - random(24)) * 60
   end
 
+  @doc """
+  Seeds the random number generator of the calling process, so that the data
+  generated afterwards in the same process is repeatable. Time-based values,
+  such as timestamps and UUIDs, are not affected by the seed.
+  """
+  @spec seed(integer()) :: :rand.state()
+  def seed(seed) when is_integer(seed), do: :rand.seed(:exsss, seed)
+
   def random(n), do: :rand.uniform(n) - 1
 
   def random_boolean(), do: random(2) == 1
 
   def country() do
-    Agent.get(__MODULE__, fn %Generator{countries: {len, names}} -> random_word(len, names) end)
+    r = :rand.uniform_real()
+    Agent.get(__MODULE__, fn %Generator{countries: {len, names}} -> random_word(r, len, names) end)
   end
 
   def tactics() do
-    Agent.get(__MODULE__, fn %Generator{tactics: {_len, tactics}} ->
-      Enum.map(1..(random(3) + 1), fn _ ->
-        {uid, name} = Enum.random(tactics)
+    rs = random_reals(random(3) + 1)
+
+    Agent.get(__MODULE__, fn %Generator{tactics: {len, tactics}} ->
+      Enum.map(rs, fn r ->
+        {uid, name} = Enum.at(tactics, trunc(r * len))
         %{:uid => uid, :name => name}
       end)
     end)
   end
 
   def technique() do
-    Agent.get(__MODULE__, fn %Generator{techniques: {_len, techniques}} ->
-      {uid, name} = Enum.random(techniques)
+    r = :rand.uniform_real()
+
+    Agent.get(__MODULE__, fn %Generator{techniques: {len, techniques}} ->
+      {uid, name} = Enum.at(techniques, trunc(r * len))
       %{:uid => uid, :name => name}
     end)
   end
@@ -770,10 +791,15 @@ defmodule Schema.Generator do
     Atom.to_string(name)
   end
 
-  defp random_word(len, words) do
-    :array.get(random(len), words)
+  # The random numbers are drawn in the calling process and only the lookup runs
+  # in the agent, otherwise the agent's random state would be used and seed/1
+  # would have no effect on the words, names and countries.
+  defp random_word(r, len, words) do
+    :array.get(trunc(r * len), words)
   end
 
+  defp random_reals(n), do: Enum.map(1..n, fn _ -> :rand.uniform_real() end)
+
   def extension() do
     Enum.random([
       "aero",
@@ -247,11 +247,90 @@ defmodule SchemaWeb.PageController do
             )
         end
 
+      params["mode"] == "objects" ->
+        render(conn, "visualizer.html",
+          extensions: Schema.extensions(),
+          profiles: get_profiles(params),
+          scope_data: %{
+            scope_type: :objects,
+            name: "objects",
+            caption: "Objects",
+            description:
+              "Every object in the schema, with the objects it extends and the objects its attributes reference."
+          }
+        )
+
       true ->
         redirect(conn, to: Routes.static_path(conn, "/classes"))
     end
   end
 
+  @doc """
+  Renders the schema version comparison page. The comparison itself is done in the browser.
+  """
+  @spec compare(Plug.Conn.t(), any) :: Plug.Conn.t()
+  def compare(conn, params) do
+    render(conn, "compare.html",
+      extensions: Schema.extensions(),
+      profiles: get_profiles(params)
+    )
+  end
+
+  @doc """
+  Renders the JSON Schema playground page. Validation is done in the browser.
+  """
+  @spec playground(Plug.Conn.t(), any) :: Plug.Conn.t()
+  def playground(conn, params) do
+    render(conn, "playground.html",
+      extensions: Schema.extensions(),
+      profiles: get_profiles(params)
+    )
+  end
+
+  @doc """
+  Renders the mapping workbench page. Mappings are built and applied in the browser.
+  """
+  @spec mapping(Plug.Conn.t(), any) :: Plug.Conn.t()
+  def mapping(conn, params) do
+    render(conn, "mapping.html",
+      extensions: Schema.extensions(),
+      profiles: get_profiles(params)
+    )
+  end
+
+  @doc """
+  Renders the enum explorer page. The enum values are collected and searched in the browser.
+  """
+  @spec enums(Plug.Conn.t(), any) :: Plug.Conn.t()
+  def enums(conn, params) do
+    render(conn, "enums.html",
+      extensions: Schema.extensions(),
+      profiles: get_profiles(params)
+    )
+  end
+
+  @doc """
+  Renders the type_uid, class_uid and category_uid decoder page. Decoding is done in the browser.
+  """
+  @spec uids(Plug.Conn.t(), any) :: Plug.Conn.t()
+  def uids(conn, params) do
+    render(conn, "uids.html",
+      extensions: Schema.extensions(),
+      profiles: get_profiles(params)
+    )
+  end
+
+  @doc """
+  Renders the profile and extension impact matrix page. The matrix is built in the browser.
+  """
+  @spec matrix(Plug.Conn.t(), any) :: Plug.Conn.t()
+  def matrix(conn, params) do
+    render(conn, "matrix.html",
+      extensions: Schema.extensions(),
+      profiles: get_profiles(params)
+    )
+  end
+
   defp sort_classes(categories) do
     Map.update!(categories, :attributes, fn list ->
       Enum.map(list, fn {name, category} ->
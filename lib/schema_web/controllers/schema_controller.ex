@@ -32,6 +32,9 @@ defmodule SchemaWeb.SchemaController do
                                 " value. When not included, all profiles are returned in" <>
                                 " the response."
 
+  @seed_param_description "Seed for the random data generator. The same seed returns the same" <>
+                            " sample data, except for timestamps and UUIDs."
+
   # -------------------
   # Event Schema API's
   # -------------------
@@ -1269,6 +1272,7 @@ defmodule SchemaWeb.SchemaController do
 
     parameters do
       profiles(:query, :array, "Related profiles to include in response.", items: [type: :string])
+      seed(:query, :integer, @seed_param_description)
     end
 
     response(200, "Success")
@@ -1295,6 +1299,7 @@ defmodule SchemaWeb.SchemaController do
     parameters do
       name(:path, :string, "Class name", required: true)
       profiles(:query, :array, "Related profiles to include in response.", items: [type: :string])
+      seed(:query, :integer, @seed_param_description)
     end
 
     response(200, "Success")
@@ -1316,6 +1321,8 @@ defmodule SchemaWeb.SchemaController do
         send_json_resp(conn, 404, %{error: "Event class #{id} not found"})
 
       class ->
+        seed_generator(params)
+
         event =
           case Map.get(params, @verbose) do
             nil ->
@@ -1349,6 +1356,7 @@ defmodule SchemaWeb.SchemaController do
     parameters do
       name(:path, :string, "Object name", required: true)
       profiles(:query, :array, "Related profiles to include in response.", items: [type: :string])
+      seed(:query, :integer, @seed_param_description)
     end
 
     response(200, "Success")
@@ -1364,10 +1372,20 @@ defmodule SchemaWeb.SchemaController do
         send_json_resp(conn, 404, %{error: "Object #{id} not found"})
 
       data ->
+        seed_generator(options)
         send_json_resp(conn, Schema.generate_object(data, profiles))
     end
   end
 
+  defp seed_generator(%{"seed" => seed}) when is_binary(seed) do
+    case Integer.parse(seed) do
+      {n, ""} -> Schema.Generator.seed(n)
+      _ -> :ok
+    end
+  end
+
+  defp seed_generator(_params), do: :ok
+
   defp send_json_resp(conn, status, data) do
     conn
     |> put_resp_content_type("application/json")
@@ -22,7 +22,7 @@ defmodule SchemaWeb.Endpoint do
     at: "/",
     from: :schema_server,
     gzip: false,
-    only: ~w(css webfonts images js apidoc favicon.ico robots.txt)
+    only: ~w(css webfonts images js apidoc favicon.ico robots.txt sw.js)
 
   # Code reloading can be explicitly enabled under the
   # :code_reloader configuration of your endpoint.
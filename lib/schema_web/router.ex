@@ -20,6 +20,7 @@ defmodule SchemaWeb.Router do
 
   pipeline :api do
     plug :accepts, ["json"]
+    plug :put_schema_version
   end
 
   scope "/", SchemaWeb do
@@ -49,6 +50,12 @@ defmodule SchemaWeb.Router do
     get "/dictionary", PageController, :dictionary
     get "/data_types", PageController, :data_types
     get "/visualizer", PageController, :visualizer
+    get "/compare", PageController, :compare
+    get "/playground", PageController, :playground
+    get "/mapping", PageController, :mapping
+    get "/enums", PageController, :enums
+    get "/uids", PageController, :uids
+    get "/matrix", PageController, :matrix
   end
 
   # Other scopes may use custom stacks.
@@ -122,6 +129,11 @@ defmodule SchemaWeb.Router do
       swagger_file: "swagger.json"
   end
 
+  # The service worker (priv/static/sw.js) keeps its cached API responses per schema version
+  defp put_schema_version(conn, _opts) do
+    put_resp_header(conn, "x-schema-version", Schema.version())
+  end
+
   def swagger_info do
     %{
       info: %{
@@ -123,6 +123,34 @@ defmodule SchemaWeb.PageView do
     ["data-profiles='", Enum.join(profiles, ","), "'"]
   end
 
+  @doc """
+  Returns the data attributes used by the field-scoped table search, e.g. type:string_t.
+  """
+  @spec format_attribute_search_data(map()) :: list()
+  def format_attribute_search_data(attribute) do
+    ["data-type='", to_string(attribute[:type]), "' ", format_profiles(attribute[:profiles])]
+  end
+
+  @doc """
+  Returns the data attributes used by attribute_tree.js to expand object-typed rows in place.
+  """
+  @spec format_attribute_tree_data(atom() | String.t(), map()) :: list() | String.t()
+  def format_attribute_tree_data(attribute_key, attribute) do
+    case attribute[:object_type] do
+      nil ->
+        ""
+
+      object_type ->
+        [
+          "data-path='",
+          to_string(format_attribute_name(attribute_key)),
+          "' data-object-type='",
+          object_type,
+          "'"
+        ]
+    end
+  end
+
   @spec format_linked_class_caption(String.t(), String.t(), map()) :: any()
   def format_linked_class_caption(path, class_name, class) do
     name = format_caption(class_name, class)
@@ -189,33 +189,8 @@ function searchInTable() {
     return;
   }
   
-  // Otherwise, search in tables
-  const tbody = document.getElementsByClassName("searchable");
-  for (let t = 0; t < tbody.length; t++) {
-    let tr = tbody[t].children;
-
-    // Loop through all table rows, and hide those who don't match the search query
-    for (i = 0; i < tr.length; i++) {
-      const row = tr[i];
-      const children = row.children;
-      let hide = true;
-      if (children.length > 2) {
-        for (let j = 0; hide && j < children.length - 1; j++) {
-          const value = children[j].innerText;
-          hide = value.toUpperCase().indexOf(filter) < 0;
-        }
-      }
-      else {
-        const value = children[0].innerText;
-        hide = value.toUpperCase().indexOf(filter) < 0;
-      }
-
-      if (hide)
-        row.style.display = "none";
-      else
-        row.style.display = "";
-    }
-  }
+  // Otherwise, search in tables (see table_search.js for the query syntax)
+  search_table_rows(input.value);
 }
 
 /* Search function for categories page */
@@ -257,11 +232,187 @@ function searchInCategories(filter) {
   });
 }
 
+// Strip any version prefix (e.g. /1.3.0) from the pathname so the
+// /sample, /schema, and /api routes resolve correctly when the server
+// is fronted by a versioned URL prefix.
+function schema_base_path() {
+  return window.location.pathname.replace(/^\/[\d.]+(?:-[^\/]+)?/, '');
+}
+
+// Fetches a schema API path such as /classes/file_activity, forwarding the current
+// extension and profile selection. The profiles parameter is always sent so that
+// the response matches the server-rendered pages. The base defaults to this
+// server's /api; other versions are reached through their own API base path.
+async function schema_api_fetch(path, base) {
+  const extensions = Object.entries(get_selected_extensions())
+    .filter(([_, value]) => value)
+    .map(([name]) => name);
+  const params = 'extensions=' + encodeURIComponent(extensions.join(',')) +
+    '&profiles=' + encodeURIComponent(get_selected_profiles().join(','));
+  const url = (base || '/api') + path + (path.includes('?') ? '&' : '?') + params;
+
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) throw new Error('HTTP ' + response.status + ' – ' + url);
+  return response.json();
+}
+
+// The whole schema from /export/v2/schema, fetched once per page. The export
+// has the items of every extension and the attributes of every profile, so the
+// sidebar selection is applied here the way the schema API applies it: items of
+// unselected extensions are dropped, and so are attributes whose profiles are
+// all unselected. Either step can be turned off, e.g. to show every profile.
+let schema_export_request = null;
+
+async function schema_export(options) {
+  if (!schema_export_request) {
+    schema_export_request = schema_api_fetch('/v2/schema', '/export').catch(function(e) {
+      schema_export_request = null;
+      throw e;
+    });
+  }
+  return filter_schema_export(await schema_export_request,
+    Object.assign({ extensions: true, profiles: true }, options));
+}
+
+function filter_schema_export(schema, options) {
+  const extensions = get_selected_extensions();
+  const profiles = get_selected_profiles();
+
+  function visible(item) {
+    return !options.extensions || !item.extension || extensions[item.extension];
+  }
+
+  function attribute_visible(attr) {
+    return !options.profiles || !attr.profiles ||
+      attr.profiles.some(function(p) { return profiles.includes(p); });
+  }
+
+  function filter(items, with_attributes) {
+    const result = {};
+    Object.entries(items || {}).forEach(function([name, item]) {
+      if (!visible(item)) return;
+      result[name] = with_attributes
+        ? Object.assign({}, item, {
+          attributes: Object.fromEntries(Object.entries(item.attributes || {}).filter(function([_, attr]) {
+            return attribute_visible(attr);
+          }))
+        })
+        : item;
+    });
+    return result;
+  }
+
+  const categories = schema.categories || {};
+  return Object.assign({}, schema, {
+    categories: Object.assign({}, categories, { attributes: filter(categories.attributes, false) }),
+    classes: filter(schema.classes, true),
+    objects: filter(schema.objects, true),
+    profiles: filter(schema.profiles, false)
+  });
+}
+
+// Saves text as a file through a temporary object URL. The text can be
+// anything a Blob takes as a part, so generated Blobs (XLSX, PNG) work too.
+function download_file(name, type, text) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type: type }));
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+}
+
+function escape_html(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The category of a class: its category_uid, or else derived from its uid, as a
+// class_uid is the category_uid * 1000 plus the class number.
+function class_category_uid(cls) {
+  return cls.category_uid || (cls.uid ? Math.floor(cls.uid / 1000) : null);
+}
+
+// Validation helpers shared by the class page validator (validator.js), the JSON
+// Schema playground and the mapping workbench.
+
+async function post_validation(endpoint, body, missingRecommended) {
+  const params = new URLSearchParams(
+    build_url_params(get_selected_extensions(), get_selected_profiles()).substring(1)
+  );
+  if (missingRecommended) {
+    params.set('missing_recommended', 'true');
+  }
+
+  const url = '/api/v2/' + endpoint + '?' + params.toString();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(function() { return {}; });
+  if (!response.ok) {
+    throw new Error(result.error || 'HTTP ' + response.status + ' – ' + url);
+  }
+  return result;
+}
+
+function validation_section(result, title) {
+  const errors = result.errors || [];
+  const warnings = result.warnings || [];
+  const items = errors.map(function(e) { return validation_item('error', e); })
+    .concat(warnings.map(function(w) { return validation_item('warning', w); }));
+
+  let summary;
+  if (result.error) {
+    summary = '<span class="validation-count error">' + escape_html(result.error) + '</span>';
+  } else if (items.length === 0) {
+    summary = '<span class="validation-count ok"><i class="fas fa-check"></i> Valid</span>';
+  } else {
+    summary =
+      '<span class="validation-count error">' + errors.length + ' errors</span>' +
+      '<span class="validation-count warning">' + warnings.length + ' warnings</span>';
+  }
+
+  return '<div class="validation-section">' +
+    '<div class="validation-section-header"><strong>' + escape_html(title) + '</strong>' + summary + '</div>' +
+    (items.length ? '<ul class="validation-list">' + items.join('') + '</ul>' : '') +
+    '</div>';
+}
+
+function validation_item(severity, finding) {
+  const path = finding.attribute_path || '';
+  const pathHtml = path
+    ? '<a href="javascript:void(0)" class="validation-path" data-path="' +
+        escape_html(top_level_attribute(path)) + '"><code>' + escape_html(path) + '</code></a>'
+    : '';
+
+  return '<li class="validation-item ' + severity + '">' +
+    '<span class="validation-severity">' + severity + '</span>' +
+    pathHtml +
+    '<span class="validation-text">' + escape_html(finding.message) + '</span>' +
+    '<span class="validation-code">' + escape_html(finding.error) + '</span>' +
+    '</li>';
+}
+
+function validation_message(severity, text) {
+  return '<div class="validation-message ' + severity + '">' + escape_html(text) + '</div>';
+}
+
+// "actor.user.uid" and "observables[2].name" both belong to the top-level row
+// of their first path segment.
+function top_level_attribute(path) {
+  return path.split('.')[0].replace(/\[\d+\]$/, '');
+}
+
 function init_schema_buttons() {
-  // Strip any version prefix (e.g. /1.3.0) from the pathname so the
-  // /sample, /schema, and /api routes resolve correctly when the server
-  // is fronted by a versioned URL prefix.
-  const basePath = window.location.pathname.replace(/^\/[\d.]+(?:-[^\/]+)?/, '');
+  const basePath = schema_base_path();
 
   function buttonParams() {
     const extensions = get_selected_extensions();
@@ -270,11 +421,23 @@ function init_schema_buttons() {
   }
 
   $('#btn-sample-data').on('click', function(event) {
-    window.open('/sample' + basePath + buttonParams(), '_blank');
+    // Pages that include sample.js get the in-page sample panel
+    if (typeof toggle_sample_panel === 'function') {
+      toggle_sample_panel();
+    } else {
+      window.open('/sample' + basePath + buttonParams(), '_blank');
+    }
   });
 
   $('#btn-json-schema').on('click', function(event) {
-    window.open('/schema' + basePath + buttonParams(), '_blank');
+    // Classes and objects open in the JSON Schema playground, which links the raw schema
+    const match = basePath.match(/^\/(classes|objects)\/(.+)$/);
+    if (match) {
+      const key = match[1] === 'classes' ? 'class' : 'object';
+      window.location.href = '/playground' + buttonParams() + '&' + key + '=' + encodeURIComponent(match[2]);
+    } else {
+      window.open('/schema' + basePath + buttonParams(), '_blank');
+    }
   });
 
   $('#btn-schema').on('click', function(event) {
@@ -282,7 +445,12 @@ function init_schema_buttons() {
   });
 
   $('#btn-validate').on('click', function(event) {
-    window.open('/doc/index.html#/Tools/SchemaWeb.SchemaController.validate2', '_blank');
+    // Pages that include validator.js get the in-page validator panel
+    if (typeof toggle_validator_panel === 'function') {
+      toggle_validator_panel();
+    } else {
+      window.open('/doc/index.html#/Tools/SchemaWeb.SchemaController.validate2', '_blank');
+    }
   });
 }
 
@@ -402,6 +570,57 @@ function updateShowDeprecatedState(isActive) {
 }
 
 
+// Offline support. The service worker (sw.js) answers from its cache when the
+// server cannot be reached and reports it, with the time the copy was made.
+let offline_cached_at = null;
+
+function init_service_worker(url) {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'schema-stale') {
+      show_offline_banner(event.data.cachedAt);
+    }
+  });
+
+  // Without a worker the page simply works online only
+  navigator.serviceWorker.register(url).catch(function() {});
+
+  // The assets of this page may have been loaded before the worker took over
+  navigator.serviceWorker.ready.then(function(registration) {
+    registration.active.postMessage({
+      type: 'schema-precache',
+      urls: performance.getEntriesByType('resource').map(function(entry) { return entry.name; })
+    });
+  });
+
+  // The page itself may have been answered from the cache
+  if (navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage({
+      type: 'schema-cache-status',
+      url: window.location.href.split('#')[0],
+      requestedAt: performance.timeOrigin
+    });
+  }
+}
+
+// Shows the oldest copy time reported for this page and its API requests.
+function show_offline_banner(cachedAt) {
+  const banner = document.getElementById('offline-banner');
+  if (!banner) return;
+
+  const time = cachedAt ? new Date(cachedAt) : null;
+  if (time && !isNaN(time) && (!offline_cached_at || time < offline_cached_at)) {
+    offline_cached_at = time;
+  }
+
+  document.getElementById('offline-banner-text').textContent =
+    'The server cannot be reached. This content was saved ' +
+    (offline_cached_at ? 'on ' + offline_cached_at.toLocaleString() : 'earlier') +
+    ' and may be out of date.';
+  banner.classList.remove('d-none');
+}
+
 // Dark Mode Management
 function initTheme() {
   const savedTheme = localStorage.getItem('ocsf-theme');
@@ -571,6 +790,10 @@ document.addEventListener('DOMContentLoaded', function() {
   // Enhance search input with focus styling
   const searchInput = document.getElementById('tableSearch');
   if (searchInput) {
+    if (document.querySelector('tbody.searchable')) {
+      searchInput.title = TABLE_SEARCH_HELP;
+    }
+
     searchInput.addEventListener('focus', function() {
       this.style.borderColor = 'var(--accent-color)';
       this.style.boxShadow = '0 0 0 3px rgba(0, 164, 183, 0.1)';
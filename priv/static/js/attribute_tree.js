@@ -0,0 +1,210 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Inline attribute tree for class and object pages. Object-typed rows carry
+// data-path and data-object-type (see format_attribute_tree_data); expanding one
+// fetches the object and inserts its attributes, with full dotted paths, as
+// indented rows below it.
+
+const attribute_tree_objects = {};
+
+function init_attribute_tree() {
+  const table = document.getElementById('data-table');
+  if (!table) return;
+
+  // On an object page the object itself is the first ancestor, so that
+  // e.g. process.parent_process is recognized as recursive right away.
+  const root = table.dataset.treeRoot;
+
+  $(table).find('tbody.searchable tr[data-object-type]').each(function() {
+    const ancestors = root ? [root] : [];
+    this.dataset.depth = 0;
+    this.dataset.ancestors = JSON.stringify(ancestors);
+    add_attribute_tree_toggle(this, ancestors.includes(this.dataset.objectType));
+  });
+
+  // Sorting would tear child rows away from their parents
+  $(table).find('thead th').on('click', collapse_attribute_tree);
+}
+
+function add_attribute_tree_toggle(row, recursive) {
+  const cell = row.querySelector('td.name');
+
+  if (recursive) {
+    const marker = document.createElement('span');
+    marker.className = 'tree-recursive';
+    marker.title = 'Recursive reference to ' + row.dataset.objectType;
+    marker.textContent = '↻';
+    cell.appendChild(marker);
+    return;
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'tree-toggle';
+  toggle.title = 'Show ' + row.dataset.objectType + ' attributes';
+  toggle.textContent = '▸';
+  toggle.addEventListener('click', function(e) {
+    e.stopPropagation();
+    toggle_attribute_tree_row(row);
+  });
+  cell.appendChild(toggle);
+}
+
+async function toggle_attribute_tree_row(row) {
+  if (row.classList.contains('tree-expanded')) {
+    collapse_attribute_tree_row(row);
+  } else {
+    await expand_attribute_tree_row(row);
+  }
+}
+
+async function load_attribute_tree_object(name) {
+  if (!attribute_tree_objects[name]) {
+    attribute_tree_objects[name] = schema_api_fetch('/objects/' + name);
+  }
+  try {
+    return await attribute_tree_objects[name];
+  } catch (e) {
+    delete attribute_tree_objects[name];
+    throw e;
+  }
+}
+
+async function expand_attribute_tree_row(row) {
+  const toggle = row.querySelector('.tree-toggle');
+  const objectType = row.dataset.objectType;
+  toggle.disabled = true;
+
+  let object;
+  try {
+    object = await load_attribute_tree_object(objectType);
+  } catch (e) {
+    toggle.title = e.message;
+    toggle.disabled = false;
+    return;
+  }
+
+  const depth = Number(row.dataset.depth) + 1;
+  const ancestors = JSON.parse(row.dataset.ancestors).concat([objectType]);
+  // The header may also carry sort classes, and its columns may have been moved
+  const headers = Array.from(row.closest('table').tHead.rows[0].cells).map(function(th) {
+    return th.className.split(' ')[0];
+  });
+
+  const entries = Object.entries(object.attributes || {}).sort(function([a], [b]) {
+    return a.localeCompare(b);
+  });
+
+  let anchor = row;
+  entries.forEach(function([name, attr]) {
+    const child = attribute_tree_row(row, headers, name, attr, depth, ancestors);
+    anchor.after(child);
+    anchor = child;
+  });
+
+  row.classList.add('tree-expanded');
+  toggle.textContent = '▾';
+  toggle.title = 'Hide ' + objectType + ' attributes';
+  toggle.disabled = false;
+}
+
+function collapse_attribute_tree_row(row) {
+  const prefix = row.dataset.path + '.';
+  let next = row.nextElementSibling;
+  while (next && next.dataset.path && next.dataset.path.startsWith(prefix)) {
+    const remove = next;
+    next = next.nextElementSibling;
+    remove.remove();
+  }
+
+  const toggle = row.querySelector('.tree-toggle');
+  row.classList.remove('tree-expanded');
+  toggle.textContent = '▸';
+  toggle.title = 'Show ' + row.dataset.objectType + ' attributes';
+}
+
+function collapse_attribute_tree() {
+  $('#data-table tr.tree-child').remove();
+  $('#data-table tr.tree-expanded').each(function() {
+    this.classList.remove('tree-expanded');
+    const toggle = this.querySelector('.tree-toggle');
+    toggle.textContent = '▸';
+    toggle.title = 'Show ' + this.dataset.objectType + ' attributes';
+  });
+}
+
+function attribute_tree_row(parent, headers, name, attr, depth, ancestors) {
+  const path = parent.dataset.path + '.' + name;
+  const row = document.createElement('tr');
+
+  const requirement = attr.requirement || 'optional';
+
+  // Child rows share the group and deprecation classes of their parent so that
+  // the group filters and the deprecated toggle hide them together; the
+  // requirement is their own. A child that is deprecated itself gets the
+  // collapse deprecated classes top-level rows get from the server, in the
+  // current state of the "Show deprecated" toggle.
+  const inherited = parent.className
+    .replace(/\b(required|recommended|optional|tree-expanded|tree-child|tree-depth-\d+)\b/g, '')
+    .trim().split(/\s+/).filter(Boolean);
+  const classes = inherited.concat([requirement, 'tree-child', 'tree-depth-' + depth]);
+  if (attr['@deprecated'] && !inherited.includes('deprecated')) {
+    classes.push('collapse', 'deprecated');
+    if (window.localStorage.getItem(showDeprecatedStorageKey) === 'true') {
+      classes.push('show', 'deprecated-visible');
+    } else {
+      classes.push('deprecated-hidden');
+    }
+  }
+  row.className = classes.join(' ');
+  row.dataset.path = path;
+  row.dataset.depth = depth;
+  row.dataset.ancestors = JSON.stringify(ancestors);
+  row.dataset.type = attr.type || '';
+  if (attr.profiles) row.dataset.profiles = attr.profiles.join(',');
+
+  let type = escape_html(attr.type_name || attr.type || '');
+  if (attr.object_type) {
+    type = '<a href="/objects/' + escape_html(attr.object_type) + '">' +
+      escape_html(attr.object_name || attr.object_type) + '</a>';
+  }
+  if (attr.is_array) type += ' Array';
+
+  row.innerHTML = headers.map(function(column) {
+    switch (column) {
+      case 'col-name':
+        return '<td class="name" style="padding-left: calc(var(--spacing-lg) + ' + depth + ' * 1rem)">' +
+          '<span class="tree-path"><span class="tree-path-parent">' + escape_html(parent.dataset.path) + '.</span>' +
+          escape_html(name) + '</span>' +
+          (attr['@deprecated'] ? ' <span class="deprecated-attr-badge" title="Deprecated"><i class="fas fa-exclamation-triangle"></i></span>' : '') +
+          '</td>';
+      case 'col-caption':
+        return '<td>' + escape_html(attr.caption || name) + '</td>';
+      case 'col-group':
+        return '<td class="capitalize">' + escape_html(attr.group || '') + '</td>';
+      case 'col-requirement':
+        return '<td>' + escape_html(requirement.charAt(0).toUpperCase() + requirement.slice(1)) + '</td>';
+      case 'col-type':
+        return '<td class="extensions">' + type + '</td>';
+      case 'col-description':
+        return '<td>' + (attr.description || '') + '</td>';
+      default:
+        return '<td></td>';
+    }
+  }).join('');
+
+  if (attr.object_type) {
+    row.dataset.objectType = attr.object_type;
+    add_attribute_tree_toggle(row, ancestors.includes(attr.object_type));
+  }
+
+  return row;
+}
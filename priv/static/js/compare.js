@@ -0,0 +1,239 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Client-side comparison of a class or object between two schema versions.
+// Each version listed by /api/versions is reached through its own API base path.
+
+const COMPARE_CHANGES = {
+  added: 'Added',
+  removed: 'Removed',
+  requirement: 'Requirement changed',
+  type: 'Type changed',
+  deprecated: 'Newly deprecated'
+};
+
+let compare_versions = [];
+let compare_last = null;
+
+async function init_compare() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.get('object')) {
+    $('#compare-kind').val('objects');
+    $('#compare-name').val(params.get('object'));
+  } else if (params.get('class')) {
+    $('#compare-name').val(params.get('class'));
+  }
+
+  try {
+    const data = await (await fetch('/api/versions', { headers: { Accept: 'application/json' } })).json();
+    compare_versions = (data.versions || []).map(function(v) {
+      return { version: v.version, base: new URL(v.url).pathname.replace(/\/$/, '') };
+    });
+
+    const current = data.default ? data.default.version : null;
+    const options = compare_versions.map(function(v) {
+      return '<option value="' + escape_html(v.version) + '">v' + escape_html(v.version) + '</option>';
+    }).join('');
+    $('#compare-from').html(options);
+    $('#compare-to').html(options);
+
+    const others = compare_versions.filter(function(v) { return v.version !== current; });
+    $('#compare-to').val(params.get('to') || current);
+    $('#compare-from').val(params.get('from') || (others.length ? others[0].version : current));
+
+    if (compare_versions.length < 2) {
+      $('#compare-summary').html(
+        '<div class="validation-message">Only one schema version is available on this server.</div>');
+    }
+  } catch (e) {
+    $('#compare-summary').html('<div class="validation-message error">' + escape_html(e.message) + '</div>');
+    return;
+  }
+
+  $('#compare-kind, #compare-to').on('change', load_compare_names);
+  $('#compare-run').on('click', run_compare);
+  $('#compare-name').on('keydown', function(e) { if (e.key === 'Enter') run_compare(); });
+  $('#compare-show-unchanged').on('change', function() {
+    if (compare_last) render_compare(compare_last);
+  });
+
+  load_compare_names();
+  if ($('#compare-name').val()) run_compare();
+}
+
+function compare_base(version) {
+  const found = compare_versions.find(function(v) { return v.version === version; });
+  return found ? found.base : '/api';
+}
+
+async function load_compare_names() {
+  const kind = $('#compare-kind').val();
+  try {
+    const list = await schema_api_fetch('/' + kind, compare_base($('#compare-to').val()));
+    const names = (Array.isArray(list) ? list : Object.values(list)).map(function(item) {
+      return item.extension ? item.extension + '/' + item.name : item.name;
+    });
+    names.sort();
+    $('#compare-names').html(names.map(function(n) {
+      return '<option value="' + escape_html(n) + '">';
+    }).join(''));
+  } catch (e) {
+    $('#compare-names').html('');
+  }
+}
+
+// Returns null when the entity does not exist in the given version.
+async function fetch_compare_entity(kind, name, version) {
+  try {
+    return await schema_api_fetch('/' + kind + '/' + name, compare_base(version));
+  } catch (e) {
+    if (e.message.startsWith('HTTP 404')) return null;
+    throw e;
+  }
+}
+
+async function run_compare() {
+  const kind = $('#compare-kind').val();
+  const name = $('#compare-name').val().trim();
+  const from = $('#compare-from').val();
+  const to = $('#compare-to').val();
+  if (!name) return;
+
+  $('#compare-summary').html('<div class="validation-message">Loading…</div>');
+  $('#compare-results').html('');
+
+  try {
+    const [before, after] = await Promise.all([
+      fetch_compare_entity(kind, name, from),
+      fetch_compare_entity(kind, name, to)
+    ]);
+
+    compare_last = { kind: kind, name: name, from: from, to: to, before: before, after: after };
+    render_compare(compare_last);
+
+    const params = new URLSearchParams();
+    params.set(kind === 'objects' ? 'object' : 'class', name);
+    params.set('from', from);
+    params.set('to', to);
+    history.replaceState(null, '', window.location.pathname + '?' + params.toString());
+  } catch (e) {
+    $('#compare-summary').html('<div class="validation-message error">' + escape_html(e.message) + '</div>');
+  }
+}
+
+function compare_requirement(attr) {
+  return attr.requirement || 'optional';
+}
+
+function compare_type(attr) {
+  const type = attr.object_type || attr.type_name || attr.type || '';
+  return attr.is_array ? type + '[]' : type;
+}
+
+function diff_attributes(before, after) {
+  const names = new Set(Object.keys(before).concat(Object.keys(after)));
+
+  return Array.from(names).sort().map(function(name) {
+    const a = before[name];
+    const b = after[name];
+    const changes = [];
+
+    if (!a) {
+      changes.push('added');
+    } else if (!b) {
+      changes.push('removed');
+    } else {
+      if (compare_requirement(a) !== compare_requirement(b)) changes.push('requirement');
+      if (compare_type(a) !== compare_type(b)) changes.push('type');
+      if (!a['@deprecated'] && b['@deprecated']) changes.push('deprecated');
+    }
+
+    return { name: name, before: a, after: b, changes: changes };
+  });
+}
+
+function render_compare(result) {
+  const label = result.kind === 'objects' ? 'object' : 'class';
+  const notes = [];
+
+  if (!result.before) notes.push('The ' + label + ' does not exist in v' + result.from + '.');
+  if (!result.after) notes.push('The ' + label + ' does not exist in v' + result.to + '.');
+  if (!result.before && !result.after) {
+    $('#compare-summary').html('<div class="validation-message error">' + escape_html(notes.join(' ')) + '</div>');
+    return;
+  }
+
+  const before = result.before || {};
+  const after = result.after || {};
+  if (!before['@deprecated'] && after['@deprecated']) {
+    notes.push('The ' + label + ' is deprecated in v' + result.to + '.');
+  }
+
+  const rows = diff_attributes(before.attributes || {}, after.attributes || {});
+  const counts = {};
+  rows.forEach(function(row) {
+    row.changes.forEach(function(c) { counts[c] = (counts[c] || 0) + 1; });
+  });
+
+  const chips = Object.keys(COMPARE_CHANGES).map(function(change) {
+    return '<span class="compare-chip compare-' + change + '">' +
+      COMPARE_CHANGES[change] + ': ' + (counts[change] || 0) + '</span>';
+  }).join('');
+
+  $('#compare-summary').html(
+    '<div class="compare-summary">' + chips + '</div>' +
+    notes.map(function(n) { return '<div class="validation-message">' + escape_html(n) + '</div>'; }).join(''));
+
+  const showUnchanged = $('#compare-show-unchanged').is(':checked');
+  const visible = rows.filter(function(row) { return showUnchanged || row.changes.length > 0; });
+
+  if (visible.length === 0) {
+    $('#compare-results').html('<div class="validation-message mt-3">No attribute changes.</div>');
+    return;
+  }
+
+  $('#compare-results').html(
+    '<table class="table table-bordered mt-3 compare-table"><thead><tr class="thead-color">' +
+    '<th class="col-name">Name</th>' +
+    '<th>v' + escape_html(result.from) + '</th>' +
+    '<th>v' + escape_html(result.to) + '</th>' +
+    '<th>Change</th>' +
+    '</tr></thead><tbody>' +
+    visible.map(compare_row).join('') +
+    '</tbody></table>');
+}
+
+function compare_row(row) {
+  const css = row.changes.length ? 'compare-' + row.changes[0] : '';
+  const changes = row.changes.map(function(c) {
+    return '<span class="compare-chip compare-' + c + '">' + COMPARE_CHANGES[c] + '</span>';
+  }).join(' ');
+
+  return '<tr class="' + css + '">' +
+    '<td class="name">' + escape_html(row.name) + '</td>' +
+    '<td>' + compare_cell(row.before, row.after, row.changes) + '</td>' +
+    '<td>' + compare_cell(row.after, row.before, row.changes) + '</td>' +
+    '<td>' + changes + '</td>' +
+    '</tr>';
+}
+
+function compare_cell(attr, other, changes) {
+  if (!attr) return '<span class="text-muted">—</span>';
+
+  const requirement = compare_requirement(attr);
+  const type = compare_type(attr);
+  const changedReq = other && changes.includes('requirement');
+  const changedType = other && changes.includes('type');
+
+  return '<span class="' + (changedReq ? 'compare-changed' : '') + '">' + escape_html(requirement) + '</span>' +
+    ' · <code class="' + (changedType ? 'compare-changed' : '') + '">' + escape_html(type) + '</code>' +
+    (attr['@deprecated'] ? ' <span class="deprecated-attr-badge" title="Deprecated"><i class="fas fa-exclamation-triangle"></i></span>' : '');
+}
@@ -0,0 +1,222 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Enum explorer. Every enum value of every enum attribute, in classes, objects
+// and the dictionary, is listed with its caption and description, together with
+// the classes and objects that define it. The classes and objects come from
+// the schema export (schema_export in app.js) and the dictionary from
+// /api/dictionary, both with the extension and profile selection. A number in the search box
+// is looked up as an enum value, so `3002` finds the class_uid of Authentication
+// and `300201` its Logon type_uid; text matches captions and attribute names.
+
+const ENUM_EXPLORER_LIMIT = 500;
+
+let enum_explorer_values = null;
+
+async function init_enum_explorer() {
+  const params = new URLSearchParams(window.location.search);
+  $('#enum-search').val(params.get('q') || '');
+  $('#enum-kind').val(params.get('kind') || 'all');
+
+  let timer = null;
+  $('#enum-search').on('input', function() {
+    clearTimeout(timer);
+    timer = setTimeout(render_enum_explorer, 150);
+  });
+  $('#enum-kind').on('change', render_enum_explorer);
+
+  // Attribute names in the results narrow the search to that attribute
+  $('#enum-results').on('click', '.enum-attribute', function() {
+    $('#enum-search').val('attr:' + this.dataset.attribute).trigger('focus');
+    render_enum_explorer();
+  });
+
+  const results = document.getElementById('enum-results');
+  results.innerHTML = validation_message('info', 'Loading the schema…');
+  try {
+    const [schema, dictionary] = await Promise.all([
+      schema_export(),
+      schema_api_fetch('/dictionary')
+    ]);
+    enum_explorer_values = build_enum_index(schema, dictionary);
+  } catch (e) {
+    results.innerHTML = validation_message('error', e.message);
+    return;
+  }
+
+  const attributes = Array.from(new Set(enum_explorer_values.map(function(v) { return v.attribute; }))).sort();
+  $('#enum-attribute-names').html(attributes.map(function(name) {
+    return '<option value="attr:' + escape_html(name) + '">';
+  }).join(''));
+  render_enum_explorer();
+}
+
+// ─── Index ───────────────────────────────────────────────────────────────────
+
+// One entry per attribute, value and caption, with the classes, objects and
+// dictionary entries that define it:
+// [{ attribute, value, caption, description, owners: [{ kind, name, caption }] }]
+function build_enum_index(schema, dictionary) {
+  const entries = {};
+
+  function add(kind, name, item) {
+    Object.entries(item.attributes || {}).forEach(function([attr_name, attr]) {
+      if (!attr.enum) return;
+
+      Object.entries(attr.enum).forEach(function([value, definition]) {
+        const caption = definition.caption || '';
+        const key = attr_name + '\u0000' + value + '\u0000' + caption;
+        const entry = entries[key] = entries[key] || {
+          attribute: attr_name,
+          value: value,
+          caption: caption,
+          description: definition.description || '',
+          deprecated: !!definition['@deprecated'],
+          owners: []
+        };
+        entry.owners.push({ kind: kind, name: name, caption: item.caption || name });
+      });
+    });
+  }
+
+  Object.entries(schema.classes || {}).forEach(function([name, cls]) {
+    add('class', name, cls);
+  });
+  Object.entries(schema.objects || {}).forEach(function([name, obj]) {
+    add('object', name, obj);
+  });
+  add('dictionary', 'dictionary', { caption: 'Dictionary', attributes: dictionary.attributes });
+
+  return Object.values(entries).sort(function(a, b) {
+    return a.attribute.localeCompare(b.attribute) || Number(a.value) - Number(b.value) ||
+      a.caption.localeCompare(b.caption);
+  });
+}
+
+// ─── Search ──────────────────────────────────────────────────────────────────
+
+// Returns the matching entries, best first. A number matches enum values
+// exactly; "attr:name" lists the values of one attribute; other text matches
+// captions (exact matches first) and attribute names.
+function search_enum_values(query, kind) {
+  let values = enum_explorer_values;
+  if (kind !== 'all') {
+    values = values.filter(function(v) { return v.owners.some(function(o) { return o.kind === kind; }); });
+  }
+
+  const text = query.trim();
+  if (text === '') return values;
+
+  const scoped = text.match(/^attr:\s*(\S+)\s*(.*)$/i);
+  if (scoped) {
+    const rest = scoped[2];
+    values = values.filter(function(v) { return v.attribute === scoped[1]; });
+    return rest ? search_enum_text(values, rest) : values;
+  }
+
+  if (/^-?\d+$/.test(text)) {
+    return values.filter(function(v) { return v.value === String(Number(text)); });
+  }
+
+  return search_enum_text(values, text);
+}
+
+function search_enum_text(values, text) {
+  const lower = text.toLowerCase();
+  const scored = [];
+
+  values.forEach(function(v) {
+    const caption = v.caption.toLowerCase();
+    let score;
+    if (caption === lower) score = 0;
+    else if (caption.startsWith(lower)) score = 1;
+    else if (caption.includes(lower)) score = 2;
+    else if (v.attribute.includes(lower)) score = 3;
+    else if (v.description.toLowerCase().includes(lower)) score = 4;
+    else return;
+    scored.push({ score: score, value: v });
+  });
+
+  // Array.prototype.sort is stable, so the index order is kept within a score
+  return scored.sort(function(a, b) { return a.score - b.score; }).map(function(s) { return s.value; });
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function render_enum_explorer() {
+  if (!enum_explorer_values) return;
+
+  const query = $('#enum-search').val();
+  const kind = $('#enum-kind').val();
+
+  const params = new URLSearchParams(window.location.search);
+  if (query.trim()) params.set('q', query.trim());
+  else params.delete('q');
+  if (kind !== 'all') params.set('kind', kind);
+  else params.delete('kind');
+  const search = params.toString();
+  history.replaceState(null, '', window.location.pathname + (search ? '?' + search : ''));
+
+  const matches = search_enum_values(query, kind);
+  const shown = matches.slice(0, ENUM_EXPLORER_LIMIT);
+  const attributes = new Set(matches.map(function(v) { return v.attribute; })).size;
+
+  document.getElementById('enum-summary').textContent =
+    matches.length + (matches.length === 1 ? ' value' : ' values') + ' of ' +
+    attributes + (attributes === 1 ? ' attribute' : ' attributes') +
+    (matches.length > shown.length ? ', showing the first ' + shown.length : '');
+
+  if (matches.length === 0) {
+    document.getElementById('enum-results').innerHTML =
+      '<div class="text-secondary">No enum value matches.</div>';
+    return;
+  }
+
+  document.getElementById('enum-results').innerHTML =
+    '<table class="table table-bordered table-sm enum-table">' +
+    '<thead><tr class="thead-color">' +
+    '<th class="col-name">Attribute</th><th class="col-id">Value</th><th class="col-caption">Caption</th>' +
+    '<th class="col-description">Description</th><th class="col-references">Defined In</th>' +
+    '</tr></thead><tbody>' +
+    shown.map(enum_explorer_row).join('') +
+    '</tbody></table>';
+}
+
+function enum_explorer_row(v) {
+  return '<tr' + (v.deprecated ? ' class="deprecated-item"' : '') + '>' +
+    '<td class="name"><a href="javascript:void(0)" class="enum-attribute" data-attribute="' + escape_html(v.attribute) + '" ' +
+    'title="List the values of ' + escape_html(v.attribute) + '">' + escape_html(v.attribute) + '</a></td>' +
+    '<td><code>' + escape_html(v.value) + '</code></td>' +
+    '<td>' + escape_html(v.caption) + '</td>' +
+    '<td class="enum-description">' + v.description + '</td>' +
+    '<td>' + enum_explorer_owners(v.owners) + '</td>' +
+    '</tr>';
+}
+
+// Long owner lists, such as severity_id in every class, are collapsed
+function enum_explorer_owners(owners) {
+  function link(owner) {
+    if (owner.kind === 'dictionary') {
+      return '<a href="/dictionary">Dictionary</a>';
+    }
+    const path = (owner.kind === 'class' ? '/classes/' : '/objects/') + owner.name;
+    return '<a href="' + escape_html(path) + '" title="' + (owner.kind === 'class' ? 'Class' : 'Object') + '">' +
+      escape_html(owner.caption) + '</a>';
+  }
+
+  const sorted = owners.slice().sort(function(a, b) {
+    return (a.kind === 'dictionary') - (b.kind === 'dictionary') || a.caption.localeCompare(b.caption);
+  });
+  if (sorted.length <= 5) return sorted.map(link).join(', ');
+
+  return sorted.slice(0, 3).map(link).join(', ') +
+    ' <details class="enum-owners"><summary>and ' + (sorted.length - 3) + ' more</summary>' +
+    sorted.slice(3).map(link).join(', ') + '</details>';
+}
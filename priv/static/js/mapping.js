@@ -0,0 +1,785 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Mapping workbench. A raw vendor record is pasted on the left and its fields
+// are dragged onto the attributes of a class on the right, including attributes
+// of nested objects. Each field mapping has a transform: copy, timestamp parse,
+// enum lookup or constant. The resulting event is built in the browser on every
+// change, validated with /api/v2/validate (see post_validation in app.js)
+// and the mapping can be exported as a declarative JSON or YAML file. The work
+// in progress is kept in localStorage.
+
+const mappingStorageKey = 'schema_mapping_workbench';
+const MAPPING_FORMAT = 'ocsf-mapping';
+const MAPPING_VALIDATE_DELAY = 400;
+
+const MAPPING_TRANSFORMS = {
+  copy: 'Copy',
+  timestamp: 'Timestamp',
+  enum: 'Enum lookup',
+  constant: 'Constant'
+};
+
+const MAPPING_TIMESTAMP_FORMATS = {
+  auto: 'Auto',
+  iso8601: 'ISO 8601',
+  epoch_s: 'Epoch seconds',
+  epoch_ms: 'Epoch milliseconds'
+};
+
+let mapping_record = null;
+let mapping_class = null;
+let mapping_fields = [];
+let mapping_selected_source = null;
+let mapping_validate_timer = null;
+const mapping_expanded = new Set();
+
+function init_mapping_workbench() {
+  const saved = load_mapping_workbench();
+  const params = new URLSearchParams(window.location.search);
+
+  document.getElementById('mapping-record').value = saved.record || '';
+  $('#mapping-class').val(params.get('class') || saved.class || '');
+  mapping_fields = saved.fields || [];
+
+  $('#mapping-record').on('input', function() {
+    parse_mapping_record();
+    update_mapping();
+  });
+  $('#mapping-load').on('click', load_mapping_class);
+  $('#mapping-class').on('keydown', function(e) { if (e.key === 'Enter') load_mapping_class(); });
+  $('#mapping-clear').on('click', function() {
+    if (mapping_fields.length && !confirm('Remove all field mappings?')) return;
+    mapping_fields = [];
+    update_mapping();
+  });
+  $('#mapping-export-json').on('click', function() { export_mapping('json'); });
+  $('#mapping-export-yaml').on('click', function() { export_mapping('yaml'); });
+
+  init_mapping_sources();
+  init_mapping_targets();
+  init_mapping_fields();
+
+  parse_mapping_record();
+  load_mapping_class_names();
+  if ($('#mapping-class').val()) load_mapping_class();
+  else update_mapping();
+}
+
+function load_mapping_workbench() {
+  try {
+    return JSON.parse(localStorage.getItem(mappingStorageKey)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function store_mapping_workbench() {
+  localStorage.setItem(mappingStorageKey, JSON.stringify({
+    record: document.getElementById('mapping-record').value,
+    class: $('#mapping-class').val().trim(),
+    fields: mapping_fields
+  }));
+}
+
+async function load_mapping_class_names() {
+  try {
+    const classes = await schema_api_fetch('/classes');
+    const names = classes.map(function(item) {
+      return item.extension ? item.extension + '/' + item.name : item.name;
+    });
+    names.sort();
+    $('#mapping-class-names').html(names.map(function(n) {
+      return '<option value="' + escape_html(n) + '">';
+    }).join(''));
+  } catch (e) {
+    $('#mapping-class-names').html('');
+  }
+}
+
+async function load_mapping_class() {
+  const name = $('#mapping-class').val().trim();
+  if (!name) return;
+
+  const status = document.getElementById('mapping-class-status');
+  status.innerHTML = validation_message('info', 'Loading…');
+
+  const params = new URLSearchParams(window.location.search);
+  params.set('class', name);
+  history.replaceState(null, '', window.location.pathname + '?' + params.toString());
+
+  try {
+    // objects=1 adds every object reachable from the class, for the nested paths
+    mapping_class = await schema_api_fetch('/classes/' + name + '?objects=1');
+  } catch (e) {
+    mapping_class = null;
+    status.innerHTML = validation_message('error', e.message);
+    update_mapping();
+    return;
+  }
+
+  status.innerHTML =
+    '<strong>' + escape_html(mapping_class.caption || name) + '</strong> ' +
+    '<span class="text-secondary">class_uid ' + escape_html(mapping_class.uid) + '</span>';
+  mapping_expanded.clear();
+  update_mapping();
+}
+
+// ─── Paths ───────────────────────────────────────────────────────────────────
+
+// Paths use the attribute path notation of the validator, e.g.
+// "actor.user.name" or "resources[0].uid". Keys that are not plain names are
+// quoted: `["event.type"]`.
+function mapping_path_key(key) {
+  return /^[A-Za-z_$@][\w$@-]*$/.test(key) ? key : '[' + JSON.stringify(key) + ']';
+}
+
+function join_mapping_path(prefix, key) {
+  if (typeof key === 'number') return prefix + '[' + key + ']';
+  const part = mapping_path_key(key);
+  return prefix === '' || part.charAt(0) === '[' ? prefix + part : prefix + '.' + part;
+}
+
+function split_mapping_path(path) {
+  const tokens = [];
+  const re = /\.?([^.[\]"]+)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/g;
+  let match;
+  while ((match = re.exec(path)) !== null) {
+    if (match[1] !== undefined) tokens.push(match[1]);
+    else if (match[2] !== undefined) tokens.push(Number(match[2]));
+    else tokens.push(JSON.parse(match[3]));
+  }
+  return tokens;
+}
+
+function get_mapping_path(value, path) {
+  return split_mapping_path(path).reduce(function(current, token) {
+    return current != null && typeof current === 'object' ? current[token] : undefined;
+  }, value);
+}
+
+function set_mapping_path(target, path, value) {
+  const tokens = split_mapping_path(path);
+  let current = target;
+  tokens.forEach(function(token, i) {
+    if (i === tokens.length - 1) {
+      current[token] = value;
+    } else {
+      if (current[token] == null || typeof current[token] !== 'object') {
+        current[token] = typeof tokens[i + 1] === 'number' ? [] : {};
+      }
+      current = current[token];
+    }
+  });
+}
+
+// The attribute definition for a target path, following object types through
+// the objects returned with the class.
+function mapping_target_attribute(path) {
+  if (!mapping_class) return null;
+
+  let attributes = mapping_class.attributes || {};
+  let attribute = null;
+  for (const token of split_mapping_path(path)) {
+    if (typeof token === 'number') continue;
+    if (!attributes) return null;
+    attribute = attributes[token];
+    if (!attribute) return null;
+    const object = attribute.object_type && (mapping_class.objects || {})[attribute.object_type];
+    attributes = object ? object.attributes : null;
+  }
+  return attribute;
+}
+
+// ─── Source record ───────────────────────────────────────────────────────────
+
+function parse_mapping_record() {
+  const text = document.getElementById('mapping-record').value.trim();
+  const status = document.getElementById('mapping-record-status');
+
+  mapping_record = null;
+  status.innerHTML = '';
+  if (text !== '') {
+    try {
+      mapping_record = JSON.parse(text);
+    } catch (e) {
+      status.innerHTML = validation_message('error', 'Invalid JSON: ' + e.message);
+    }
+  }
+  render_mapping_sources();
+}
+
+function init_mapping_sources() {
+  const sources = document.getElementById('mapping-sources');
+
+  sources.addEventListener('dragstart', function(e) {
+    const item = e.target.closest('.mapping-source');
+    if (!item) return;
+    e.dataTransfer.effectAllowed = 'copy';
+    e.dataTransfer.setData('application/x-mapping-source', item.dataset.path);
+    e.dataTransfer.setData('text/plain', item.dataset.path);
+  });
+
+  // A click selects a field, to be mapped with the button of a target attribute
+  sources.addEventListener('click', function(e) {
+    const item = e.target.closest('.mapping-source');
+    if (!item) return;
+    mapping_selected_source = mapping_selected_source === item.dataset.path ? null : item.dataset.path;
+    render_mapping_sources();
+    render_mapping_targets();
+  });
+}
+
+function render_mapping_sources() {
+  const sources = document.getElementById('mapping-sources');
+  if (mapping_record === null || typeof mapping_record !== 'object') {
+    sources.innerHTML = '<div class="text-secondary small">Paste a JSON record to list its fields.</div>';
+    return;
+  }
+
+  const used = new Set(mapping_fields.map(function(f) { return f.source; }));
+  const rows = [];
+
+  (function walk(value, path, depth) {
+    const entries = Array.isArray(value)
+      ? value.map(function(v, i) { return [i, v]; })
+      : Object.entries(value);
+
+    entries.forEach(function([key, child]) {
+      const childPath = join_mapping_path(path, key);
+      const nested = child !== null && typeof child === 'object';
+      rows.push(
+        '<div class="mapping-source' + (used.has(childPath) ? ' mapped' : '') +
+        (mapping_selected_source === childPath ? ' selected' : '') + '" draggable="true" tabindex="0" ' +
+        'data-path="' + escape_html(childPath) + '" style="padding-left: ' + depth + 'rem" title="' + escape_html(childPath) + '">' +
+        '<span class="mapping-source-key">' + escape_html(typeof key === 'number' ? '[' + key + ']' : key) + '</span>' +
+        (nested
+          ? '<span class="mapping-source-value text-secondary">' + (Array.isArray(child) ? '[' + child.length + ']' : '{…}') + '</span>'
+          : '<span class="mapping-source-value">' + escape_html(JSON.stringify(child)) + '</span>') +
+        '</div>'
+      );
+      if (nested) walk(child, childPath, depth + 1);
+    });
+  })(mapping_record, '', 0);
+
+  sources.innerHTML = rows.join('') || '<div class="text-secondary small">The record is empty.</div>';
+}
+
+// ─── Target attributes ───────────────────────────────────────────────────────
+
+function init_mapping_targets() {
+  const targets = document.getElementById('mapping-targets');
+
+  targets.addEventListener('dragover', function(e) {
+    const row = e.target.closest('.mapping-target');
+    if (!row || !e.dataTransfer.types.includes('application/x-mapping-source')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    targets.querySelectorAll('.drag-over').forEach(function(r) { if (r !== row) r.classList.remove('drag-over'); });
+    row.classList.add('drag-over');
+  });
+
+  targets.addEventListener('dragleave', function(e) {
+    const row = e.target.closest('.mapping-target');
+    if (row && !row.contains(e.relatedTarget)) row.classList.remove('drag-over');
+  });
+
+  targets.addEventListener('drop', function(e) {
+    const row = e.target.closest('.mapping-target');
+    const source = e.dataTransfer.getData('application/x-mapping-source');
+    if (!row || !source) return;
+    e.preventDefault();
+    row.classList.remove('drag-over');
+    add_mapping_field(row.dataset.path, source);
+  });
+
+  targets.addEventListener('click', function(e) {
+    const button = e.target.closest('button');
+    const row = e.target.closest('.mapping-target');
+    if (!button || !row) return;
+
+    const path = row.dataset.path;
+    if (button.classList.contains('tree-toggle')) {
+      if (mapping_expanded.has(path)) mapping_expanded.delete(path);
+      else mapping_expanded.add(path);
+      render_mapping_targets();
+    } else if (button.classList.contains('mapping-target-map') && mapping_selected_source) {
+      add_mapping_field(path, mapping_selected_source);
+      mapping_selected_source = null;
+    } else if (button.classList.contains('mapping-target-constant')) {
+      add_mapping_field(path, null);
+      const input = document.querySelector('#mapping-fields tr[data-target="' + CSS.escape(path) + '"] .mapping-option');
+      if (input) input.focus();
+    }
+  });
+}
+
+function render_mapping_targets() {
+  const targets = document.getElementById('mapping-targets');
+  if (!mapping_class) {
+    targets.innerHTML = '<div class="text-secondary small">Load a class to list its attributes.</div>';
+    return;
+  }
+
+  const mapped = new Set(mapping_fields.map(function(f) { return f.target; }));
+  const objects = mapping_class.objects || {};
+  const rows = [];
+
+  (function walk(attributes, prefix, depth, ancestors) {
+    Object.entries(attributes || {}).sort(function([a], [b]) { return a.localeCompare(b); }).forEach(function([name, attr]) {
+      const path = join_mapping_path(prefix, name);
+      const objectType = attr.object_type;
+      const expandable = objectType && objects[objectType] && !ancestors.includes(objectType);
+      const expanded = expandable && mapping_expanded.has(path);
+      const requirement = attr.requirement || 'optional';
+      let type = attr.object_type ? (attr.object_name || attr.object_type) : (attr.type_name || attr.type || '');
+      if (attr.is_array) type += '[]';
+
+      rows.push(
+        '<div class="mapping-target ' + escape_html(requirement) + (mapped.has(path) ? ' mapped' : '') + '" ' +
+        'data-path="' + escape_html(path) + '" style="padding-left: ' + depth + 'rem">' +
+        (expandable
+          ? '<button type="button" class="tree-toggle" title="' + (expanded ? 'Hide ' : 'Show ') + escape_html(objectType) + ' attributes">' + (expanded ? '▾' : '▸') + '</button>'
+          : '<span class="mapping-target-spacer"></span>') +
+        '<span class="mapping-target-name" title="' + escape_html(attr.description ? attr.description.replace(/<[^>]*>/g, '') : '') + '">' + escape_html(name) + '</span>' +
+        '<span class="mapping-target-type">' + escape_html(type) + (attr.enum ? ' enum' : '') + '</span>' +
+        '<span class="mapping-target-actions">' +
+        '<button type="button" class="btn btn-link btn-sm mapping-target-map" title="Map the selected source field"' +
+        (mapping_selected_source ? '' : ' disabled') + '><i class="fas fa-arrow-left"></i></button>' +
+        '<button type="button" class="btn btn-link btn-sm mapping-target-constant" title="Set a constant"><i class="fas fa-equals"></i></button>' +
+        '</span>' +
+        '</div>'
+      );
+
+      if (expanded) {
+        const childPrefix = attr.is_array ? join_mapping_path(path, 0) : path;
+        walk(objects[objectType].attributes, childPrefix, depth + 1, ancestors.concat([objectType]));
+      }
+    });
+  })(mapping_class.attributes, '', 0, []);
+
+  targets.innerHTML = rows.join('');
+}
+
+// ─── Field mappings ──────────────────────────────────────────────────────────
+
+// The transform suggested by the type of the target attribute
+function default_mapping_transform(attr, source) {
+  if (source === null) return { type: 'constant', value: '' };
+  if (attr && attr.enum) return { type: 'enum', values: {} };
+  if (attr && (attr.type === 'timestamp_t' || attr.type === 'datetime_t')) return { type: 'timestamp', format: 'auto' };
+  return { type: 'copy' };
+}
+
+// A target is mapped once; mapping it again replaces the earlier mapping
+function add_mapping_field(target, source) {
+  const field = {
+    target: target,
+    source: source,
+    transform: default_mapping_transform(mapping_target_attribute(target), source)
+  };
+  const index = mapping_fields.findIndex(function(f) { return f.target === target; });
+  if (index >= 0) mapping_fields[index] = field;
+  else mapping_fields.push(field);
+  update_mapping();
+}
+
+function init_mapping_fields() {
+  const fields = $('#mapping-fields');
+
+  function field_of(element) {
+    const target = element.closest('tr').dataset.target;
+    return mapping_fields.find(function(f) { return f.target === target; });
+  }
+
+  fields.on('change', '.mapping-transform', function() {
+    const field = field_of(this);
+    switch (this.value) {
+      case 'timestamp':
+        field.transform = { type: 'timestamp', format: 'auto' };
+        break;
+      case 'enum':
+        field.transform = { type: 'enum', values: {} };
+        break;
+      case 'constant':
+        field.transform = { type: 'constant', value: '' };
+        field.source = null;
+        break;
+      default:
+        field.transform = { type: 'copy' };
+    }
+    update_mapping();
+  });
+
+  fields.on('change', '.mapping-source-input', function() {
+    field_of(this).source = this.value.trim() || null;
+    update_mapping();
+  });
+
+  // Options are applied as they are typed, without rendering the table again
+  fields.on('input change', '.mapping-option', function() {
+    const field = field_of(this);
+    switch (field.transform.type) {
+      case 'timestamp':
+        field.transform.format = this.value;
+        break;
+      case 'enum':
+        field.transform.values = parse_mapping_enum_values(this.value);
+        break;
+      case 'constant':
+        field.transform.value = parse_mapping_constant(this.value);
+        break;
+    }
+    update_mapping(false);
+  });
+
+  fields.on('click', '.mapping-remove', function() {
+    const field = field_of(this);
+    mapping_fields = mapping_fields.filter(function(f) { return f !== field; });
+    update_mapping();
+  });
+}
+
+// "Success=1, Failure=2" maps raw values to enum ids
+function parse_mapping_enum_values(text) {
+  const values = {};
+  text.split(',').forEach(function(pair) {
+    const index = pair.lastIndexOf('=');
+    if (index > 0) {
+      const id = Number(pair.substring(index + 1).trim());
+      if (pair.substring(index + 1).trim() !== '' && !isNaN(id)) values[pair.substring(0, index).trim()] = id;
+    }
+  });
+  return values;
+}
+
+function format_mapping_enum_values(values) {
+  return Object.entries(values || {}).map(function([raw, id]) { return raw + '=' + id; }).join(', ');
+}
+
+// Constants are JSON when they parse as such, and strings otherwise
+function parse_mapping_constant(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+function format_mapping_constant(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function mapping_option_input(field) {
+  const transform = field.transform;
+  switch (transform.type) {
+    case 'timestamp':
+      return '<select class="form-control form-control-sm mapping-option">' +
+        Object.entries(MAPPING_TIMESTAMP_FORMATS).map(function([value, caption]) {
+          return '<option value="' + value + '"' + (transform.format === value ? ' selected' : '') + '>' + caption + '</option>';
+        }).join('') + '</select>';
+    case 'enum':
+      return '<input type="text" class="form-control form-control-sm mapping-option" spellcheck="false" ' +
+        'placeholder="Match captions, or raw=id, …" value="' + escape_html(format_mapping_enum_values(transform.values)) + '">';
+    case 'constant':
+      return '<input type="text" class="form-control form-control-sm mapping-option" spellcheck="false" ' +
+        'placeholder="Value or JSON" value="' + escape_html(format_mapping_constant(transform.value)) + '">';
+    default:
+      return '';
+  }
+}
+
+function render_mapping_fields(results) {
+  const body = document.querySelector('#mapping-fields tbody');
+  if (mapping_fields.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-secondary small">' +
+      'Drag source fields onto class attributes to map them.</td></tr>';
+    return;
+  }
+
+  body.innerHTML = mapping_fields.map(function(field) {
+    const result = results[field.target] || {};
+    const attr = mapping_target_attribute(field.target);
+    return '<tr data-target="' + escape_html(field.target) + '"' + (attr ? '' : ' class="mapping-unknown"') + '>' +
+      '<td class="name"><code>' + escape_html(field.target) + '</code>' +
+      (attr ? '' : '<div class="validation-message warning">Not an attribute of this class</div>') + '</td>' +
+      '<td>' + (field.transform.type === 'constant'
+        ? '<span class="text-secondary">—</span>'
+        : '<input type="text" class="form-control form-control-sm mapping-source-input" spellcheck="false" value="' + escape_html(field.source || '') + '">') +
+      '</td>' +
+      '<td><select class="form-control form-control-sm mapping-transform">' +
+      Object.entries(MAPPING_TRANSFORMS).map(function([value, caption]) {
+        return '<option value="' + value + '"' + (field.transform.type === value ? ' selected' : '') + '>' + caption + '</option>';
+      }).join('') + '</select>' +
+      '<div class="mapping-option-cell">' + mapping_option_input(field) + '</div></td>' +
+      '<td class="mapping-result">' + mapping_result_html(result) + '</td>' +
+      '<td><button type="button" class="btn btn-link btn-sm mapping-remove" title="Remove"><i class="fas fa-times"></i></button></td>' +
+      '</tr>';
+  }).join('');
+}
+
+function mapping_result_html(result) {
+  if (result.error) return '<span class="validation-message error">' + escape_html(result.error) + '</span>';
+  if (result.value === undefined) return '<span class="text-secondary">not set</span>';
+  return '<code>' + escape_html(JSON.stringify(result.value)) + '</code>';
+}
+
+// ─── Transforms ──────────────────────────────────────────────────────────────
+
+function mapping_timestamp(value, format) {
+  const number = typeof value === 'number' || (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value))
+    ? Number(value)
+    : NaN;
+  let ms;
+
+  switch (format) {
+    case 'epoch_s':
+      ms = number * 1000;
+      break;
+    case 'epoch_ms':
+      ms = number;
+      break;
+    case 'iso8601':
+      ms = Date.parse(value);
+      break;
+    default:
+      // Seconds, milliseconds or microseconds, told apart by magnitude
+      if (!isNaN(number)) {
+        const size = Math.abs(number);
+        ms = size < 1e11 ? number * 1000 : size < 1e14 ? number : number / 1000;
+      } else {
+        ms = Date.parse(value);
+      }
+  }
+
+  if (isNaN(ms)) throw new Error('Not a ' + MAPPING_TIMESTAMP_FORMATS[format || 'auto'].toLowerCase() + ' timestamp');
+  return Math.round(ms);
+}
+
+// Raw values are looked up in the explicit map first, then matched against the
+// enum captions and ids; anything else is Other (99) when the enum has it.
+function mapping_enum(value, transform, attr) {
+  const raw = String(value);
+  if (transform.values && Object.prototype.hasOwnProperty.call(transform.values, raw)) {
+    return transform.values[raw];
+  }
+
+  const entries = Object.entries((attr && attr.enum) || {});
+  const match = entries.find(function([id, item]) {
+    return id === raw || (item.caption || '').toLowerCase() === raw.toLowerCase();
+  });
+  if (match) return Number(match[0]);
+  if (entries.some(function([id]) { return id === '99'; })) return 99;
+  throw new Error('No enum value for ' + JSON.stringify(value));
+}
+
+// Scalar sources are converted to the type of the target attribute
+function mapping_coerce(value, attr) {
+  if (!attr || value === null || typeof value === 'object') return value;
+
+  switch (attr.type) {
+    case 'integer_t':
+    case 'long_t':
+    case 'port_t':
+    case 'float_t':
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+      return value;
+    case 'boolean_t':
+      if (value === 'true' || value === 'false') return value === 'true';
+      return value;
+    case 'object_t':
+    case 'json_t':
+      return value;
+    default:
+      return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+  }
+}
+
+function apply_mapping_field(field) {
+  const attr = mapping_target_attribute(field.target);
+  const transform = field.transform;
+
+  if (transform.type === 'constant') return { value: mapping_coerce(transform.value, attr) };
+
+  const source = mapping_record == null || !field.source ? undefined : get_mapping_path(mapping_record, field.source);
+  if (source === undefined) return { value: undefined };
+
+  // Arrays of scalars are transformed item by item
+  function one(value) {
+    switch (transform.type) {
+      case 'timestamp': {
+        const ms = mapping_timestamp(value, transform.format);
+        return attr && attr.type === 'datetime_t' ? new Date(ms).toISOString() : ms;
+      }
+      case 'enum':
+        return mapping_enum(value, transform, attr);
+      default:
+        return mapping_coerce(value, attr);
+    }
+  }
+
+  try {
+    let value = Array.isArray(source) && transform.type !== 'copy' ? source.map(one) : one(source);
+    if (attr && attr.is_array && !Array.isArray(value)) value = [value];
+    return { value: value };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+
+function build_mapping_event() {
+  const event = {};
+  const results = {};
+
+  if (mapping_class && mapping_class.uid) {
+    event.class_uid = mapping_class.uid;
+    event.category_uid = class_category_uid(mapping_class);
+  }
+
+  mapping_fields.forEach(function(field) {
+    const result = results[field.target] = apply_mapping_field(field);
+    if (result.value !== undefined) set_mapping_path(event, field.target, result.value);
+  });
+
+  // Enum captions go to their sibling attribute, e.g. activity_id to activity_name
+  mapping_fields.forEach(function(field) {
+    const attr = mapping_target_attribute(field.target);
+    const value = results[field.target].value;
+    if (!attr || !attr.enum || !attr.sibling || typeof value !== 'number') return;
+
+    const tokens = split_mapping_path(field.target);
+    tokens[tokens.length - 1] = attr.sibling;
+    const siblingPath = tokens.reduce(join_mapping_path, '');
+    const item = attr.enum[String(value)];
+    if (item && get_mapping_path(event, siblingPath) === undefined) set_mapping_path(event, siblingPath, item.caption);
+  });
+
+  // type_uid = class_uid * 100 + activity_id, unless mapped explicitly
+  if (event.class_uid && typeof event.activity_id === 'number' && event.type_uid === undefined) {
+    event.type_uid = event.class_uid * 100 + event.activity_id;
+  }
+
+  return { event: event, results: results };
+}
+
+// render: false while an option is being typed, so the input keeps its focus
+function update_mapping(render) {
+  const output = build_mapping_event();
+
+  if (render !== false) {
+    render_mapping_sources();
+    render_mapping_targets();
+  }
+  render_mapping_fields_results(output.results, render !== false);
+  document.getElementById('mapping-output').textContent = JSON.stringify(output.event, null, 2);
+  $('#mapping-export-json, #mapping-export-yaml').prop('disabled', mapping_fields.length === 0);
+
+  store_mapping_workbench();
+  schedule_mapping_validation(output.event);
+}
+
+function render_mapping_fields_results(results, render) {
+  if (render) {
+    render_mapping_fields(results);
+    return;
+  }
+  document.querySelectorAll('#mapping-fields tbody tr[data-target]').forEach(function(row) {
+    row.querySelector('.mapping-result').innerHTML = mapping_result_html(results[row.dataset.target] || {});
+  });
+}
+
+function schedule_mapping_validation(event) {
+  clearTimeout(mapping_validate_timer);
+  const results = document.getElementById('mapping-validation');
+
+  if (!mapping_class || mapping_fields.length === 0) {
+    results.innerHTML = '';
+    return;
+  }
+
+  mapping_validate_timer = setTimeout(async function() {
+    let result;
+    try {
+      result = await post_validation('validate', event, false);
+    } catch (e) {
+      results.innerHTML = validation_message('error', e.message);
+      return;
+    }
+    render_mapping_validation(result);
+  }, MAPPING_VALIDATE_DELAY);
+}
+
+function render_mapping_validation(result) {
+  document.getElementById('mapping-validation').innerHTML = validation_section(result, 'Event');
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+function mapping_document() {
+  return {
+    format: MAPPING_FORMAT,
+    version: 1,
+    class: $('#mapping-class').val().trim(),
+    class_uid: mapping_class ? mapping_class.uid : null,
+    extensions: Object.entries(get_selected_extensions())
+      .filter(function([_, value]) { return value; })
+      .map(function([name]) { return name; }),
+    profiles: get_selected_profiles(),
+    fields: mapping_fields.map(function(field) {
+      const entry = { target: field.target };
+      if (field.transform.type !== 'constant') entry.source = field.source;
+      entry.transform = field.transform;
+      return entry;
+    })
+  };
+}
+
+function mapping_yaml_scalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return Array.isArray(value) ? '[]' : typeof value === 'object' ? '{}' : String(value);
+  // Plain strings unless they could be read as another type or as YAML syntax
+  if (/^[A-Za-z_./][\w ./@()-]*$/.test(value) && !/\s$/.test(value) &&
+      !/^(true|false|yes|no|on|off|null|~)$/i.test(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+function mapping_yaml(value, indent) {
+  const pad = '  '.repeat(indent);
+  function nested(v) {
+    return v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return pad + '- ' + (nested(item) ? mapping_yaml(item, indent + 1).trimStart() : mapping_yaml_scalar(item));
+    }).join('\n');
+  }
+
+  return Object.entries(value).map(function([key, v]) {
+    return pad + mapping_yaml_scalar(key) + ':' +
+      (nested(v) ? '\n' + mapping_yaml(v, indent + 1) : ' ' + mapping_yaml_scalar(v));
+  }).join('\n');
+}
+
+function export_mapping(format) {
+  if (mapping_fields.length === 0) return;
+
+  const doc = mapping_document();
+  const name = (doc.class || 'mapping').replace(/\//g, '_') + '-mapping';
+  const text = format === 'yaml'
+    ? '# OCSF mapping\n' + mapping_yaml(doc, 0) + '\n'
+    : JSON.stringify(doc, null, 2) + '\n';
+
+  download_file(name + '.' + format, format === 'yaml' ? 'application/yaml' : 'application/json', text);
+}
@@ -0,0 +1,259 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Profile impact matrix: classes as rows and profiles as columns. A cell shows
+// whether the profile applies to the class and how many attributes it adds. The
+// same matrix is available for extensions, where a cell shows whether the
+// extension defines the class and how many of its attributes come from the
+// extension. Unlike the class list filter (init_selected_profiles), which only
+// keeps classes that support all checked profiles, the matrix shows every
+// combination at once. The data comes from the schema export (schema_export in
+// app.js) and /api/extensions. Every profile is counted, so the export is taken
+// without the profile selection, and the extensions mode shows every extension.
+
+// { selected, all }: the export with and without the extension selection
+let matrix_schema = null;
+let matrix_extensions = null;
+
+const matrix_state = {
+  mode: 'profiles',
+  sort: 'name',
+  group: true,
+  filter: ''
+};
+
+async function init_profile_matrix() {
+  const params = new URLSearchParams(window.location.search);
+  matrix_state.mode = params.get('mode') === 'extensions' ? 'extensions' : 'profiles';
+  matrix_state.sort = params.get('sort') || 'name';
+  matrix_state.group = params.get('group') !== 'false';
+  matrix_state.filter = params.get('q') || '';
+
+  $('#matrix-mode').val(matrix_state.mode).on('change', function() {
+    matrix_state.mode = this.value;
+    matrix_state.sort = 'name';
+    render_profile_matrix();
+  });
+  $('#matrix-group').prop('checked', matrix_state.group).on('change', function() {
+    matrix_state.group = this.checked;
+    render_profile_matrix();
+  });
+  $('#matrix-filter').val(matrix_state.filter).on('input', function() {
+    matrix_state.filter = this.value;
+    render_profile_matrix();
+  });
+
+  // Column headers sort; a second click on the sorted column goes back to names
+  $('#matrix-results').on('click', 'th[data-sort]', function(e) {
+    if (e.target.closest('a')) return;
+    matrix_state.sort = matrix_state.sort === this.dataset.sort ? 'name' : this.dataset.sort;
+    render_profile_matrix();
+  });
+
+  const results = document.getElementById('matrix-results');
+  results.innerHTML = validation_message('info', 'Loading the schema…');
+  try {
+    const [selected, all, extensions] = await Promise.all([
+      schema_export({ profiles: false }),
+      schema_export({ extensions: false, profiles: false }),
+      schema_api_fetch('/extensions')
+    ]);
+    matrix_schema = { selected: selected, all: all };
+    matrix_extensions = extensions;
+  } catch (e) {
+    results.innerHTML = validation_message('error', e.message);
+    return;
+  }
+  render_profile_matrix();
+}
+
+// ─── Data ────────────────────────────────────────────────────────────────────
+
+function matrix_mode_schema() {
+  return matrix_state.mode === 'extensions' ? matrix_schema.all : matrix_schema.selected;
+}
+
+// [{ key, caption, href }]
+function matrix_columns() {
+  if (matrix_state.mode === 'extensions') {
+    return Object.entries(matrix_extensions || {}).map(function([name, extension]) {
+      return { key: extension.name || name, caption: extension.caption || name, href: null };
+    }).sort(function(a, b) { return a.caption.localeCompare(b.caption); });
+  }
+
+  return Object.entries(matrix_schema.selected.profiles || {})
+    .map(function([name, profile]) {
+      return { key: name, caption: profile.caption || name, href: '/profiles/' + name };
+    })
+    .sort(function(a, b) { return a.caption.localeCompare(b.caption); });
+}
+
+// Every class in extensions mode, otherwise the classes of the selected extensions
+function matrix_classes() {
+  const filter = matrix_state.filter.trim().toLowerCase();
+
+  return Object.entries(matrix_mode_schema().classes || {})
+    .map(function([name, cls]) { return Object.assign({ name: name }, cls); })
+    .filter(function(cls) {
+      return filter === '' || cls.name.toLowerCase().includes(filter) ||
+        (cls.caption || '').toLowerCase().includes(filter);
+    });
+}
+
+// { applies, count, defines }: count is the number of attributes the profile
+// adds, or that come from the extension
+function matrix_cell(cls, column) {
+  const attributes = Object.values(cls.attributes || {});
+
+  if (matrix_state.mode === 'extensions') {
+    const count = attributes.filter(function(attr) { return attr.extension === column.key; }).length;
+    const defines = cls.extension === column.key;
+    return { applies: defines || count > 0, count: count, defines: defines };
+  }
+
+  const count = attributes.filter(function(attr) {
+    return attr.profiles && attr.profiles.includes(column.key);
+  }).length;
+  return { applies: (cls.profiles || []).includes(column.key), count: count, defines: false };
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function store_matrix_state() {
+  const params = new URLSearchParams(window.location.search);
+  function set(key, value, fallback) {
+    if (value === fallback) params.delete(key);
+    else params.set(key, value);
+  }
+  set('mode', matrix_state.mode, 'profiles');
+  set('sort', matrix_state.sort, 'name');
+  set('group', String(matrix_state.group), 'true');
+  set('q', matrix_state.filter.trim(), '');
+
+  const search = params.toString();
+  history.replaceState(null, '', window.location.pathname + (search ? '?' + search : ''));
+}
+
+function render_profile_matrix() {
+  if (!matrix_schema) return;
+  store_matrix_state();
+
+  const columns = matrix_columns();
+  const rows = matrix_classes().map(function(cls) {
+    return { cls: cls, cells: columns.map(function(column) { return matrix_cell(cls, column); }) };
+  });
+
+  const max = rows.reduce(function(m, row) {
+    return row.cells.reduce(function(n, cell) { return Math.max(n, cell.count); }, m);
+  }, 0);
+
+  // Sorted by name, or by a column: classes it applies to first, most attributes first
+  const sortIndex = columns.findIndex(function(c) { return c.key === matrix_state.sort; });
+  rows.sort(function(a, b) {
+    if (sortIndex >= 0) {
+      const x = a.cells[sortIndex];
+      const y = b.cells[sortIndex];
+      const order = (y.applies - x.applies) || (y.defines - x.defines) || (y.count - x.count);
+      if (order !== 0) return order;
+    }
+    return (a.cls.caption || a.cls.name).localeCompare(b.cls.caption || b.cls.name);
+  });
+
+  const head =
+    '<thead><tr class="thead-color">' +
+    '<th class="matrix-class' + (sortIndex < 0 ? ' sorted' : '') + '" data-sort="name">Class</th>' +
+    columns.map(function(column) {
+      return '<th class="matrix-column' + (column.key === matrix_state.sort ? ' sorted' : '') + '" ' +
+        'data-sort="' + escape_html(column.key) + '" title="Sort by ' + escape_html(column.caption) + '">' +
+        '<span>' + escape_html(column.caption) + '</span>' +
+        (column.href ? ' <a href="' + escape_html(column.href) + '" title="Open ' + escape_html(column.caption) + '"><i class="fas fa-arrow-up-right-from-square"></i></a>' : '') +
+        '</th>';
+    }).join('') +
+    '</tr></thead>';
+
+  let body;
+  if (matrix_state.group) {
+    const schema = matrix_mode_schema();
+    const categories = (schema.categories && schema.categories.attributes) || {};
+    const groups = {};
+    rows.forEach(function(row) {
+      const key = row.cls.category || '';
+      (groups[key] = groups[key] || []).push(row);
+    });
+
+    body = Object.keys(groups)
+      .sort(function(a, b) { return ((categories[a] || {}).uid || Infinity) - ((categories[b] || {}).uid || Infinity); })
+      .map(function(key) {
+        const category = categories[key];
+        return '<tr class="matrix-group"><th colspan="' + (columns.length + 1) + '">' +
+          (category
+            ? '<a href="/categories/' + escape_html(key) + '">' + escape_html(category.caption || key) + '</a>'
+            : escape_html(key || 'Other')) +
+          ' <span class="text-secondary">(' + groups[key].length + ')</span></th></tr>' +
+          groups[key].map(function(row) { return matrix_row(row, columns, max); }).join('');
+      }).join('');
+  } else {
+    body = rows.map(function(row) { return matrix_row(row, columns, max); }).join('');
+  }
+
+  const totals = columns.map(function(_, i) {
+    return rows.filter(function(row) { return row.cells[i].applies; }).length;
+  });
+  const foot =
+    '<tfoot><tr><th>' + rows.length + (rows.length === 1 ? ' class' : ' classes') + '</th>' +
+    totals.map(function(total) { return '<td class="matrix-total">' + total + '</td>'; }).join('') +
+    '</tr></tfoot>';
+
+  document.getElementById('matrix-results').innerHTML = columns.length === 0
+    ? '<div class="text-secondary">' +
+      (matrix_state.mode === 'extensions' ? 'No extensions are loaded.' : 'No profiles are defined.') + '</div>'
+    : '<div class="matrix-scroll"><table class="table table-bordered table-sm matrix-table">' +
+      head + '<tbody>' + body + '</tbody>' + foot + '</table></div>';
+}
+
+function matrix_row(row, columns, max) {
+  const cls = row.cls;
+  const path = '/classes/' + cls.name;
+
+  return '<tr' + (cls['@deprecated'] ? ' class="deprecated-item"' : '') + '>' +
+    '<td class="name"><a href="' + escape_html(path) + '">' + escape_html(cls.caption || cls.name) + '</a>' +
+    ' <span class="text-secondary small">' + escape_html(cls.uid) + '</span></td>' +
+    row.cells.map(function(cell, i) {
+      return matrix_cell_html(cell, columns[i], path, max);
+    }).join('') +
+    '</tr>';
+}
+
+function matrix_cell_html(cell, column, path, max) {
+  if (!cell.applies) return '<td class="matrix-cell"></td>';
+
+  const weight = max > 0 ? (cell.count / max).toFixed(2) : 0;
+  let mark;
+  let title;
+  if (matrix_state.mode === 'extensions') {
+    mark = cell.defines ? '●' : '';
+    title = (cell.defines ? 'Defined by ' + column.caption : 'Extended by ' + column.caption) +
+      (cell.count ? ', ' + cell.count + (cell.count === 1 ? ' attribute' : ' attributes') : '');
+  } else {
+    mark = '✓';
+    title = column.caption + ' applies' +
+      (cell.count ? ', adds ' + cell.count + (cell.count === 1 ? ' attribute' : ' attributes') : '');
+  }
+
+  // Profile cells open the class with that profile selected
+  const href = matrix_state.mode === 'profiles'
+    ? path + '?profiles=' + encodeURIComponent(column.key)
+    : path;
+
+  return '<td class="matrix-cell applies" style="--matrix-weight: ' + weight + '">' +
+    '<a href="' + escape_html(href) + '" title="' + escape_html(title) + '">' +
+    mark + (cell.count ? ' <span class="matrix-count">+' + cell.count + '</span>' : '') +
+    '</a></td>';
+}
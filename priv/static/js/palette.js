@@ -0,0 +1,379 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Global schema search (Ctrl+K / Cmd+K). The index is built on first use from
+// the categories, classes, objects, profiles and dictionary APIs and kept in
+// sessionStorage per schema version and extension/profile selection. Dotted
+// paths such as src_endpoint.hostname are resolved against class attributes.
+
+const PALETTE_KINDS = {
+  class: { label: 'Class', weight: 6 },
+  object: { label: 'Object', weight: 5 },
+  category: { label: 'Category', weight: 4 },
+  profile: { label: 'Profile', weight: 3 },
+  attribute: { label: 'Attribute', weight: 2 },
+  enum: { label: 'Enum', weight: 1 }
+};
+
+const PALETTE_MAX_RESULTS = 50;
+
+let palette_index = null;
+let palette_class_attributes = null;
+const palette_objects = {};
+let palette_results = [];
+let palette_selected = 0;
+let palette_timer = null;
+
+function init_command_palette() {
+  const palette = document.getElementById('command-palette');
+  if (!palette) return;
+
+  document.addEventListener('keydown', function(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      open_command_palette();
+    } else if (e.key === 'Escape' && !palette.classList.contains('d-none')) {
+      close_command_palette();
+    }
+  });
+
+  palette.addEventListener('mousedown', function(e) {
+    if (e.target === palette) close_command_palette();
+  });
+
+  const input = document.getElementById('command-palette-input');
+  input.addEventListener('input', function() {
+    clearTimeout(palette_timer);
+    palette_timer = setTimeout(update_command_palette, 120);
+  });
+
+  input.addEventListener('keydown', function(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      select_palette_result(palette_selected + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      select_palette_result(palette_selected - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      open_palette_result(palette_results[palette_selected]);
+    }
+  });
+}
+
+function open_command_palette() {
+  const palette = document.getElementById('command-palette');
+  const input = document.getElementById('command-palette-input');
+  palette.classList.remove('d-none');
+  input.select();
+  input.focus();
+  // Start building the index right away; errors are reported by the update
+  load_palette_index().catch(function() {});
+  update_command_palette();
+}
+
+function close_command_palette() {
+  document.getElementById('command-palette').classList.add('d-none');
+}
+
+// ─── Index ───────────────────────────────────────────────────────────────────
+
+function palette_cache_key() {
+  return 'command-palette:' + $('#select_version option:selected').text() + ':' +
+    JSON.stringify([get_selected_extensions(), get_selected_profiles()]);
+}
+
+function load_palette_index() {
+  if (palette_index) return palette_index;
+
+  const key = palette_cache_key();
+  const cached = sessionStorage.getItem(key);
+  if (cached) {
+    palette_index = Promise.resolve(JSON.parse(cached));
+    return palette_index;
+  }
+
+  palette_index = build_palette_index().then(function(entries) {
+    try {
+      sessionStorage.setItem(key, JSON.stringify(entries));
+    } catch (e) {
+      // Storage full; the index is simply rebuilt on the next page
+    }
+    return entries;
+  }, function(e) {
+    palette_index = null;
+    throw e;
+  });
+
+  return palette_index;
+}
+
+function palette_scoped_name(item) {
+  return item.extension ? item.extension + '/' + item.name : item.name;
+}
+
+async function build_palette_index() {
+  const [categories, classes, objects, profiles, dictionary] = await Promise.all([
+    schema_api_fetch('/categories'),
+    schema_api_fetch('/classes'),
+    schema_api_fetch('/objects'),
+    schema_api_fetch('/profiles'),
+    schema_api_fetch('/dictionary')
+  ]);
+
+  const entries = [];
+
+  Object.entries(categories.attributes || {}).forEach(function([name, category]) {
+    entries.push({
+      kind: 'category', name: name, caption: category.caption,
+      detail: 'uid ' + category.uid, url: '/categories/' + name
+    });
+  });
+
+  classes.forEach(function(cls) {
+    const name = palette_scoped_name(cls);
+    entries.push({
+      kind: 'class', name: name, caption: cls.caption,
+      detail: [cls.uid, cls.category_name].filter(Boolean).join(' · '), url: '/classes/' + name
+    });
+  });
+
+  objects.forEach(function(obj) {
+    const name = palette_scoped_name(obj);
+    entries.push({ kind: 'object', name: name, caption: obj.caption, detail: '', url: '/objects/' + name });
+  });
+
+  Object.entries(profiles).forEach(function([name, profile]) {
+    entries.push({ kind: 'profile', name: name, caption: profile.caption, detail: '', url: '/profiles/' + name });
+  });
+
+  Object.entries(dictionary.attributes || {}).forEach(function([name, attr]) {
+    entries.push({
+      kind: 'attribute', name: name, caption: attr.caption,
+      detail: attr.object_type || attr.type_name || attr.type || '', url: '/dictionary#attr-' + name
+    });
+
+    Object.entries(attr.enum || {}).forEach(function([value, item]) {
+      entries.push({
+        kind: 'enum', name: name + ' = ' + value, caption: item.caption,
+        detail: attr.caption || name, url: '/dictionary#' + name + '-' + value
+      });
+    });
+  });
+
+  return entries;
+}
+
+// Maps each class to its top-level attributes and their object types. Loading
+// every class is expensive, so this only happens for dotted-path queries.
+function load_palette_class_attributes(progress) {
+  if (palette_class_attributes) return palette_class_attributes;
+
+  palette_class_attributes = load_palette_index().then(async function(entries) {
+    const classes = entries.filter(function(e) { return e.kind === 'class'; });
+    const result = {};
+    let next = 0;
+    let done = 0;
+
+    async function worker() {
+      while (next < classes.length) {
+        const entry = classes[next++];
+        const detail = await schema_api_fetch('/classes/' + entry.name);
+        const attributes = {};
+        Object.entries(detail.attributes || {}).forEach(function([name, attr]) {
+          attributes[name] = attr.object_type || null;
+        });
+        result[entry.name] = { caption: entry.caption, attributes: attributes };
+        progress(++done, classes.length);
+      }
+    }
+
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    return result;
+  }).catch(function(e) {
+    palette_class_attributes = null;
+    throw e;
+  });
+
+  return palette_class_attributes;
+}
+
+function load_palette_object(name) {
+  if (!palette_objects[name]) {
+    palette_objects[name] = schema_api_fetch('/objects/' + name).then(function(obj) {
+      return obj.attributes || {};
+    });
+  }
+  return palette_objects[name];
+}
+
+async function resolve_palette_path(objectType, segments) {
+  for (const segment of segments) {
+    if (!objectType) return false;
+    const attributes = await load_palette_object(objectType);
+    if (!attributes[segment]) return false;
+    objectType = attributes[segment].object_type || null;
+  }
+  return true;
+}
+
+async function palette_path_results(path) {
+  const segments = path.split('.');
+  if (segments.some(function(s) { return s === ''; })) return [];
+
+  const classes = await load_palette_class_attributes(function(done, total) {
+    render_palette_status('Scanning classes ' + done + '/' + total + '…');
+  });
+
+  const results = [];
+  for (const [name, info] of Object.entries(classes)) {
+    if (!(segments[0] in info.attributes)) continue;
+    if (await resolve_palette_path(info.attributes[segments[0]], segments.slice(1))) {
+      results.push({
+        kind: 'class', name: path, caption: info.caption, detail: name,
+        url: '/classes/' + name + '#attr-' + segments[0]
+      });
+    }
+  }
+  return results;
+}
+
+// ─── Ranking ─────────────────────────────────────────────────────────────────
+
+function palette_subsequence(query, text) {
+  let i = 0;
+  for (let j = 0; i < query.length && j < text.length; j++) {
+    if (query[i] === text[j]) i++;
+  }
+  return i === query.length;
+}
+
+function palette_text_score(token, text, penalty) {
+  if (!text) return 0;
+  const t = text.toLowerCase();
+  let score = 0;
+
+  if (t === token) score = 100;
+  else if (t.startsWith(token)) score = 80;
+  else if (new RegExp('[\\s_=/]' + token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).test(t)) score = 60;
+  else if (t.includes(token)) score = 40;
+  else if (token.length > 2 && palette_subsequence(token, t)) score = 10;
+
+  return score ? score - penalty : 0;
+}
+
+// Every token of the query has to match the name or caption; the weakest
+// token decides the score, and the kind breaks ties.
+function palette_score(tokens, entry) {
+  let total = Infinity;
+  for (const token of tokens) {
+    const score = Math.max(
+      palette_text_score(token, entry.name, 0),
+      palette_text_score(token, entry.caption, 5)
+    );
+    if (score === 0) return 0;
+    total = Math.min(total, score);
+  }
+  return total + PALETTE_KINDS[entry.kind].weight;
+}
+
+async function update_command_palette() {
+  const query = document.getElementById('command-palette-input').value.trim().toLowerCase();
+
+  if (query === '') {
+    palette_results = [];
+    render_palette_status('Type to search categories, classes, objects, profiles, attributes and enum values.');
+    return;
+  }
+
+  let entries;
+  try {
+    render_palette_status('Loading schema…');
+    entries = await load_palette_index();
+  } catch (e) {
+    render_palette_status(e.message);
+    return;
+  }
+
+  let results;
+  if (/^[\w/]+(\.[\w/]*)+$/.test(query)) {
+    try {
+      results = await palette_path_results(query);
+    } catch (e) {
+      render_palette_status(e.message);
+      return;
+    }
+  } else {
+    const tokens = query.split(/\s+/);
+    results = entries
+      .map(function(entry) { return { entry: entry, score: palette_score(tokens, entry) }; })
+      .filter(function(r) { return r.score > 0; })
+      .sort(function(a, b) { return b.score - a.score || a.entry.name.localeCompare(b.entry.name); })
+      .map(function(r) { return r.entry; });
+  }
+
+  // Ignore stale results when the query changed while loading
+  if (document.getElementById('command-palette-input').value.trim().toLowerCase() !== query) return;
+
+  palette_results = results.slice(0, PALETTE_MAX_RESULTS);
+  render_palette_results();
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function render_palette_status(text) {
+  document.getElementById('command-palette-results').innerHTML =
+    '<li class="command-palette-status">' + escape_html(text) + '</li>';
+}
+
+function render_palette_results() {
+  if (palette_results.length === 0) {
+    render_palette_status('No matches.');
+    return;
+  }
+
+  document.getElementById('command-palette-results').innerHTML = palette_results.map(function(r, i) {
+    return '<li class="command-palette-item" role="option" data-index="' + i + '">' +
+      '<span class="command-palette-kind ' + r.kind + '">' + PALETTE_KINDS[r.kind].label + '</span>' +
+      '<span class="command-palette-name">' + escape_html(r.name) + '</span>' +
+      '<span class="command-palette-caption">' + escape_html(r.caption || '') + '</span>' +
+      '<span class="command-palette-detail">' + escape_html(r.detail || '') + '</span>' +
+      '</li>';
+  }).join('');
+
+  $('#command-palette-results .command-palette-item').on('mousemove', function() {
+    select_palette_result(Number(this.dataset.index));
+  }).on('click', function() {
+    open_palette_result(palette_results[Number(this.dataset.index)]);
+  });
+
+  select_palette_result(0);
+}
+
+function select_palette_result(index) {
+  const items = document.querySelectorAll('#command-palette-results .command-palette-item');
+  if (items.length === 0) return;
+
+  palette_selected = Math.max(0, Math.min(items.length - 1, index));
+  items.forEach(function(item, i) {
+    item.classList.toggle('active', i === palette_selected);
+    item.setAttribute('aria-selected', i === palette_selected);
+  });
+  items[palette_selected].scrollIntoView({ block: 'nearest' });
+}
+
+function open_palette_result(result) {
+  if (!result) return;
+
+  const [path, hash] = result.url.split('#');
+  const params = build_url_params(get_selected_extensions(), get_selected_profiles());
+  close_command_palette();
+  window.location.href = path + params + (hash ? '#' + hash : '');
+}
@@ -0,0 +1,272 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// JSON Schema playground. The JSON Schema of a class or object is loaded from
+// /schema and events are validated in the browser with the bundled Ajv. For
+// classes the findings can be compared, by JSON pointer, with the verdict of the
+// server's /api/v2/validate (see post_validation in app.js).
+
+let playground_schema = null;
+let playground_validate = null;
+
+async function init_schema_playground() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.get('object')) {
+    $('#playground-kind').val('objects');
+    $('#playground-name').val(params.get('object'));
+  } else if (params.get('class')) {
+    $('#playground-name').val(params.get('class'));
+  }
+
+  $('#playground-kind').on('change', function() {
+    load_playground_names();
+    update_playground_compare();
+  });
+  $('#playground-load').on('click', load_playground_schema);
+  $('#playground-name').on('keydown', function(e) { if (e.key === 'Enter') load_playground_schema(); });
+  $('#playground-sample').on('click', load_playground_sample);
+  $('#playground-run').on('click', run_playground);
+  $('#playground-compare').on('change', run_playground);
+
+  document.getElementById('playground-input').addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      run_playground();
+    }
+  });
+
+  update_playground_compare();
+  load_playground_names();
+  if ($('#playground-name').val()) load_playground_schema();
+}
+
+// The server validator only takes events, so there is nothing to compare for objects
+function update_playground_compare() {
+  const events = $('#playground-kind').val() === 'classes';
+  $('#playground-compare').prop('disabled', !events);
+  if (!events) $('#playground-compare').prop('checked', false);
+}
+
+async function load_playground_names() {
+  const kind = $('#playground-kind').val();
+  try {
+    const list = await schema_api_fetch('/' + kind);
+    const names = list.map(function(item) {
+      return item.extension ? item.extension + '/' + item.name : item.name;
+    });
+    names.sort();
+    $('#playground-names').html(names.map(function(n) {
+      return '<option value="' + escape_html(n) + '">';
+    }).join(''));
+  } catch (e) {
+    $('#playground-names').html('');
+  }
+}
+
+function playground_path() {
+  return '/' + $('#playground-kind').val() + '/' + $('#playground-name').val().trim();
+}
+
+// ─── Schema ──────────────────────────────────────────────────────────────────
+
+async function load_playground_schema() {
+  const name = $('#playground-name').val().trim();
+  if (!name) return;
+
+  const kind = $('#playground-kind').val();
+  const status = document.getElementById('playground-schema-status');
+  status.innerHTML = validation_message('info', 'Loading…');
+  playground_schema = null;
+  playground_validate = null;
+
+  // Keep the loaded class or object in the address bar, so the page can be shared
+  const params = new URLSearchParams(window.location.search);
+  params.delete('class');
+  params.delete('object');
+  params.set(kind === 'classes' ? 'class' : 'object', name);
+  history.replaceState(null, '', window.location.pathname + '?' + params.toString());
+
+  try {
+    playground_schema = await schema_api_fetch(playground_path(), '/schema');
+    playground_validate = new Ajv({ allErrors: true, jsonPointers: true }).compile(playground_schema);
+  } catch (e) {
+    status.innerHTML = validation_message('error', e.message);
+    document.getElementById('playground-schema').textContent = '';
+    return;
+  }
+
+  const definitions = Object.keys(playground_schema.$defs || {}).length;
+  const raw = '/schema' + playground_path() +
+    build_url_params(get_selected_extensions(), get_selected_profiles());
+  status.innerHTML =
+    '<strong>' + escape_html(playground_schema.title || name) + '</strong> ' +
+    '<span class="text-secondary">' + Object.keys(playground_schema.properties || {}).length + ' properties, ' +
+    definitions + (definitions === 1 ? ' object definition' : ' object definitions') + '</span> ' +
+    '<a href="' + escape_html(raw) + '" target="_blank">Raw</a>';
+  document.getElementById('playground-schema').textContent = JSON.stringify(playground_schema, null, 2);
+
+  if (document.getElementById('playground-input').value.trim() !== '') run_playground();
+}
+
+async function load_playground_sample() {
+  if (!$('#playground-name').val().trim()) return;
+
+  const url = '/sample' + playground_path() +
+    '?profiles=' + encodeURIComponent(get_selected_profiles().join(','));
+  try {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error('HTTP ' + response.status + ' – ' + url);
+    document.getElementById('playground-input').value = JSON.stringify(await response.json(), null, 2);
+  } catch (e) {
+    document.getElementById('playground-results').innerHTML = validation_message('error', e.message);
+    return;
+  }
+  run_playground();
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function escape_json_pointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Ajv reports a missing or unexpected property on its parent; point at the
+// property itself, as the server does.
+function playground_client_findings(event) {
+  if (playground_validate(event)) return [];
+
+  return playground_validate.errors.map(function(error) {
+    let pointer = error.dataPath;
+    if (error.keyword === 'required') {
+      pointer += '/' + escape_json_pointer(error.params.missingProperty);
+    } else if (error.keyword === 'additionalProperties') {
+      pointer += '/' + escape_json_pointer(error.params.additionalProperty);
+    }
+
+    let message = error.message;
+    if (error.keyword === 'enum') message += ': ' + error.params.allowedValues.join(', ');
+    if (error.keyword === 'const') message += ' ' + JSON.stringify(error.params.allowedValue);
+
+    return { severity: 'error', pointer: pointer || '', message: message, code: error.keyword };
+  });
+}
+
+// "actor.user.uid" and "observables[2].name" become "/actor/user/uid" and
+// "/observables/2/name".
+function attribute_path_pointer(path) {
+  if (!path) return '';
+  return '/' + path.replace(/\[(\d+)\]/g, '.$1').split('.').map(escape_json_pointer).join('/');
+}
+
+function playground_server_findings(result) {
+  function findings(severity, list) {
+    return (list || []).map(function(finding) {
+      return {
+        severity: severity,
+        pointer: attribute_path_pointer(finding.attribute_path),
+        message: finding.message,
+        code: finding.error
+      };
+    });
+  }
+  return findings('error', result.errors).concat(findings('warning', result.warnings));
+}
+
+async function run_playground() {
+  const results = document.getElementById('playground-results');
+  const text = document.getElementById('playground-input').value.trim();
+  results.innerHTML = '';
+  if (text === '') return;
+
+  if (!playground_validate) {
+    results.innerHTML = validation_message('error', 'Load a class or object schema first.');
+    return;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch (e) {
+    results.innerHTML = validation_message('error', 'Invalid JSON: ' + e.message);
+    return;
+  }
+
+  const client = playground_client_findings(event);
+  let server = null;
+
+  if (document.getElementById('playground-compare').checked) {
+    results.innerHTML = validation_message('info', 'Validating on the server…');
+    try {
+      server = playground_server_findings(await post_validation('validate', event, false));
+    } catch (e) {
+      results.innerHTML = validation_message('error', e.message);
+      return;
+    }
+  }
+
+  render_playground(client, server);
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function render_playground(client, server) {
+  const results = document.getElementById('playground-results');
+  const clientErrors = client.length;
+
+  let summary = '<span class="validation-count ' + (clientErrors ? 'error">' + clientErrors + ' JSON Schema errors' : 'ok"><i class="fas fa-check"></i> Valid JSON Schema') + '</span>';
+
+  if (server) {
+    const serverErrors = server.filter(function(f) { return f.severity === 'error'; }).length;
+    const serverWarnings = server.length - serverErrors;
+    summary +=
+      '<span class="validation-count ' + (serverErrors ? 'error' : 'ok') + '">' + serverErrors + ' server errors</span>' +
+      '<span class="validation-count warning">' + serverWarnings + ' server warnings</span>' +
+      ((clientErrors === 0) === (serverErrors === 0)
+        ? '<span class="playground-verdict">Verdicts agree</span>'
+        : '<span class="playground-verdict differ">Verdicts disagree</span>');
+  }
+
+  const locations = {};
+  function add(side, finding) {
+    const location = locations[finding.pointer] = locations[finding.pointer] || { client: [], server: [] };
+    location[side].push(finding);
+  }
+  client.forEach(function(finding) { add('client', finding); });
+  (server || []).forEach(function(finding) { add('server', finding); });
+
+  const pointers = Object.keys(locations).sort();
+  const rows = pointers.map(function(pointer) {
+    const location = locations[pointer];
+    const serverErrors = location.server.some(function(f) { return f.severity === 'error'; });
+    const differ = server && (location.client.length > 0) !== serverErrors;
+
+    return '<tr' + (differ ? ' class="playground-differ"' : '') + '>' +
+      '<td class="name"><code>' + escape_html(pointer || '/') + '</code></td>' +
+      '<td>' + location.client.map(playground_finding).join('') + '</td>' +
+      (server ? '<td>' + location.server.map(playground_finding).join('') + '</td>' : '') +
+      '</tr>';
+  });
+
+  results.innerHTML =
+    '<div class="validation-section-header">' + summary + '</div>' +
+    (rows.length === 0 ? '' :
+      '<table class="table table-sm table-bordered playground-table">' +
+      '<thead><tr class="thead-color"><th>Location</th><th>JSON Schema</th>' +
+      (server ? '<th>Server</th>' : '') + '</tr></thead>' +
+      '<tbody>' + rows.join('') + '</tbody></table>');
+}
+
+function playground_finding(finding) {
+  return '<div class="validation-item ' + finding.severity + '">' +
+    '<span class="validation-text">' + escape_html(finding.message) + '</span>' +
+    '<span class="validation-code">' + escape_html(finding.code) + '</span>' +
+    '</div>';
+}
@@ -0,0 +1,228 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// In-page sample data for class and object pages. Samples are generated by the
+// /sample endpoints; sample i of a batch uses seed + i, wrapped at
+// SAMPLE_MAX_SEED, so the same seed, count and profiles always give the same
+// batch (apart from timestamps and UUIDs).
+
+const SAMPLE_MAX_COUNT = 100;
+const SAMPLE_MAX_SEED = 2147483647;
+
+let sample_data = [];
+let sample_seed = null;
+
+function toggle_sample_panel() {
+  const panel = document.getElementById('sample-panel');
+  if (!panel) return;
+
+  panel.classList.toggle('d-none');
+  if (!panel.classList.contains('d-none') && sample_data.length === 0) {
+    generate_samples();
+  }
+}
+
+// profiles: the profiles that apply to this class or object. Those selected in
+// the sidebar are checked initially.
+function init_sample_panel(profiles) {
+  const panel = document.getElementById('sample-panel');
+  if (!panel) return;
+
+  const selected = get_selected_profiles();
+  const container = document.getElementById('sample-profiles');
+  if (profiles.length === 0) {
+    container.innerHTML = '<span class="text-secondary small">No profiles apply.</span>';
+  } else {
+    container.innerHTML = profiles.map(function(profile) {
+      return '<label class="tool-checkbox">' +
+        '<input type="checkbox" value="' + escape_html(profile) + '"' +
+        (selected.includes(profile) ? ' checked' : '') + '> ' + escape_html(profile) +
+        '</label>';
+    }).join('');
+  }
+
+  $('#sample-generate').on('click', generate_samples);
+  $('#sample-new-seed').on('click', function() {
+    document.getElementById('sample-seed').value = random_sample_seed();
+    generate_samples();
+  });
+  $('#sample-expand').on('click', function() { set_sample_nodes_collapsed(false); });
+  $('#sample-collapse').on('click', function() { set_sample_nodes_collapsed(true); });
+  $('#sample-download-json').on('click', function() { download_samples('json'); });
+  $('#sample-download-ndjson').on('click', function() { download_samples('ndjson'); });
+
+  $('#sample-count, #sample-seed').on('keydown', function(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      generate_samples();
+    }
+  });
+
+  document.getElementById('sample-output').addEventListener('click', function(e) {
+    const toggle = e.target.closest('.json-toggle');
+    if (toggle) toggle.parentNode.classList.toggle('collapsed');
+  });
+}
+
+function random_sample_seed() {
+  return Math.floor(Math.random() * SAMPLE_MAX_SEED);
+}
+
+// The seed of sample index of a batch, kept below SAMPLE_MAX_SEED
+function sample_index_seed(seed, index) {
+  return (seed + index) % SAMPLE_MAX_SEED;
+}
+
+function sample_settings() {
+  const count = Math.max(1, Math.min(SAMPLE_MAX_COUNT,
+    parseInt(document.getElementById('sample-count').value, 10) || 1));
+  document.getElementById('sample-count').value = count;
+
+  // Without a seed a random one is picked and shown, so the batch can be repeated
+  const input = document.getElementById('sample-seed');
+  let seed = parseInt(input.value, 10);
+  if (isNaN(seed)) {
+    seed = random_sample_seed();
+  } else {
+    seed = Math.abs(seed) % SAMPLE_MAX_SEED;
+  }
+  input.value = seed;
+
+  const profiles = Array.from(document.querySelectorAll('#sample-profiles input:checked'))
+    .map(function(checkbox) { return checkbox.value; });
+
+  return { count: count, seed: seed, profiles: profiles };
+}
+
+// ─── Generation ──────────────────────────────────────────────────────────────
+
+async function fetch_sample(profiles, seed) {
+  const url = '/sample' + schema_base_path() +
+    '?profiles=' + encodeURIComponent(profiles.join(',')) + '&seed=' + seed;
+
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) throw new Error('HTTP ' + response.status + ' – ' + url);
+  return response.json();
+}
+
+async function generate_samples() {
+  const settings = sample_settings();
+  const status = document.getElementById('sample-status');
+  const results = new Array(settings.count);
+  let next = 0;
+  let done = 0;
+
+  status.textContent = 'Generating…';
+
+  async function worker() {
+    while (next < settings.count) {
+      const index = next++;
+      results[index] = await fetch_sample(settings.profiles, sample_index_seed(settings.seed, index));
+      status.textContent = 'Generating ' + (++done) + '/' + settings.count + '…';
+    }
+  }
+
+  try {
+    await Promise.all([worker(), worker(), worker(), worker()]);
+  } catch (e) {
+    status.innerHTML = '<span class="validation-message error">' + escape_html(e.message) + '</span>';
+    return;
+  }
+
+  sample_data = results;
+  sample_seed = settings.seed;
+  render_samples();
+  status.textContent = settings.count + (settings.count === 1 ? ' sample' : ' samples') +
+    ', seed ' + settings.seed +
+    (settings.profiles.length ? ', profiles: ' + settings.profiles.join(', ') : ', no profiles');
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function render_samples() {
+  const output = document.getElementById('sample-output');
+  output.innerHTML = sample_data.map(function(sample, index) {
+    const title = sample_data.length > 1
+      ? '<span class="json-comment">// sample ' + (index + 1) + ', seed ' + sample_index_seed(sample_seed, index) + '</span>'
+      : '';
+    return '<div class="json-document">' + title + json_tree_node(null, sample, false) + '</div>';
+  }).join('');
+
+  $('#sample-actions button').prop('disabled', sample_data.length === 0);
+}
+
+function json_tree_value(value) {
+  if (value === null) return '<span class="json-null">null</span>';
+
+  switch (typeof value) {
+    case 'string':
+      return '<span class="json-string">' + escape_html(JSON.stringify(value)) + '</span>';
+    case 'number':
+      return '<span class="json-number">' + value + '</span>';
+    case 'boolean':
+      return '<span class="json-boolean">' + value + '</span>';
+  }
+  return escape_html(JSON.stringify(value));
+}
+
+function json_tree_node(key, value, comma) {
+  const label = key === null ? '' : '<span class="json-key">' + escape_html(JSON.stringify(key)) + '</span>: ';
+  const trailer = comma ? '<span class="json-punct">,</span>' : '';
+
+  if (value === null || typeof value !== 'object') {
+    return '<div class="json-line">' + label + json_tree_value(value) + trailer + '</div>';
+  }
+
+  const array = Array.isArray(value);
+  const entries = array ? value.map(function(v) { return [null, v]; }) : Object.entries(value);
+  const open = array ? '[' : '{';
+  const close = array ? ']' : '}';
+
+  if (entries.length === 0) {
+    return '<div class="json-line">' + label + '<span class="json-punct">' + open + close + '</span>' + trailer + '</div>';
+  }
+
+  const summary = entries.length + (array ? (entries.length === 1 ? ' item' : ' items') : (entries.length === 1 ? ' key' : ' keys'));
+  return '<div class="json-node">' +
+    '<button type="button" class="json-toggle" aria-label="Toggle"></button>' +
+    label + '<span class="json-punct">' + open + '</span>' +
+    '<span class="json-summary">' + summary + '<span class="json-punct">' + close + '</span>' + trailer + '</span>' +
+    '<div class="json-children">' +
+    entries.map(function([k, v], i) { return json_tree_node(k, v, i < entries.length - 1); }).join('') +
+    '</div>' +
+    '<div class="json-close"><span class="json-punct">' + close + '</span>' + trailer + '</div>' +
+    '</div>';
+}
+
+// Collapsing keeps the top level of each sample open
+function set_sample_nodes_collapsed(collapsed) {
+  document.querySelectorAll('#sample-output .json-document > .json-node .json-node').forEach(function(node) {
+    node.classList.toggle('collapsed', collapsed);
+  });
+}
+
+// ─── Download ────────────────────────────────────────────────────────────────
+
+function download_samples(format) {
+  if (sample_data.length === 0) return;
+
+  const name = schema_base_path().split('/').filter(Boolean).pop() + '-sample-' + sample_seed;
+  let text;
+  let type;
+  if (format === 'ndjson') {
+    text = sample_data.map(function(sample) { return JSON.stringify(sample); }).join('\n') + '\n';
+    type = 'application/x-ndjson';
+  } else {
+    text = JSON.stringify(sample_data.length === 1 ? sample_data[0] : sample_data, null, 2) + '\n';
+    type = 'application/json';
+  }
+
+  download_file(name + '.' + format, type, text);
+}
@@ -8,7 +8,7 @@
   Download this file
   Add <script src="sorttable.js"></script> to your HTML
   Add class="sortable" to any table you'd like to make sortable
-  Click on the headers to sort
+  Click on the headers to sort, shift-click to add further sort columns
 
   Thanks to many, many people for contributions and suggestions.
   Licenced as X11: http://www.kryogenix.org/code/browser/licence.html
@@ -86,81 +86,136 @@ sorttable = {
 	      } else {
 	        headrow[i].sorttable_sortfunction = sorttable.guessType(table,i);
 	      }
-	      // make it clickable to sort
-	      headrow[i].sorttable_columnindex = i;
+	      // make it clickable to sort; shift-click adds the column as a further
+	      // sort key, or reverses it, or drops it on the third click
 	      headrow[i].sorttable_tbody = table.tBodies[0];
 	      dean_addEvent(headrow[i],"click", sorttable.innerSortFunction = function(e) {
-
-          if (this.className.search(/\bsorttable_sorted\b/) !== -1) {
-            // if we're already sorted by this column, just
-            // reverse the table, which is quicker
-            sorttable.reverse(this.sorttable_tbody);
-            this.className = this.className.replace('sorttable_sorted',
-                                                    'sorttable_sorted_reverse');
-            this.removeChild(document.getElementById('sorttable_sortfwdind'));
-            sortrevind = document.createElement('span');
-            sortrevind.id = "sorttable_sortrevind";
-            sortrevind.innerHTML = stIsIE ? '&nbsp<font face="webdings">5</font>' : '&nbsp;&#x25B4;';
-            this.appendChild(sortrevind);
-            return;
-          }
-          if (this.className.search(/\bsorttable_sorted_reverse\b/) !== -1) {
-            // if we're already sorted by this column in reverse, just
-            // re-reverse the table, which is quicker
-            sorttable.reverse(this.sorttable_tbody);
-            this.className = this.className.replace('sorttable_sorted_reverse',
-                                                    'sorttable_sorted');
-            this.removeChild(document.getElementById('sorttable_sortrevind'));
-            sortfwdind = document.createElement('span');
-            sortfwdind.id = "sorttable_sortfwdind";
-            sortfwdind.innerHTML = stIsIE ? '&nbsp<font face="webdings">6</font>' : '&nbsp;&#x25BE;';
-            this.appendChild(sortfwdind);
-            return;
-          }
-
-          // remove sorttable_sorted classes
-          theadrow = this.parentNode;
-          forEach(theadrow.childNodes, function(cell) {
-            if (cell.nodeType === 1) { // an element
-              cell.className = cell.className.replace('sorttable_sorted_reverse','');
-              cell.className = cell.className.replace('sorttable_sorted','');
-            }
-          });
-          sortfwdind = document.getElementById('sorttable_sortfwdind');
-          if (sortfwdind) { sortfwdind.parentNode.removeChild(sortfwdind); }
-          sortrevind = document.getElementById('sorttable_sortrevind');
-          if (sortrevind) { sortrevind.parentNode.removeChild(sortrevind); }
-
-          this.className += ' sorttable_sorted';
-          sortfwdind = document.createElement('span');
-          sortfwdind.id = "sorttable_sortfwdind";
-          sortfwdind.innerHTML = stIsIE ? '&nbsp<font face="webdings">6</font>' : '&nbsp;&#x25BE;';
-          this.appendChild(sortfwdind);
-
-	        // build an array to sort. This is a Schwartzian transform thing,
-	        // i.e., we "decorate" each row with the actual sort key,
-	        // sort based on the sort keys, and then put the rows back in order
-	        // which is a lot faster because you only do getInnerText once per row
-	        row_array = [];
-	        col = this.sorttable_columnindex;
-	        rows = this.sorttable_tbody.rows;
-	        for (var j=0; j<rows.length; j++) {
-	          row_array[row_array.length] = [sorttable.getInnerText(rows[j].cells[col]), rows[j]];
-	        }
-	        /* If you want a stable sort, uncomment the following line */
-	        //sorttable.shaker_sort(row_array, this.sorttable_sortfunction);
-	        /* and comment out this one */
-	        row_array.sort(this.sorttable_sortfunction);
-
-	        tb = this.sorttable_tbody;
-	        for (var j=0; j<row_array.length; j++) {
-	          tb.appendChild(row_array[j][1]);
-	        }
-
-	        delete row_array;
+          sorttable.toggleSort(table, this, e.shiftKey);
+          sorttable.saveSort(table);
+	      });
+	      dean_addEvent(headrow[i],"mousedown", function(e) {
+          // keep shift-click from selecting the header text
+          if (e.shiftKey) e.preventDefault();
 	      });
 	    }
     }
+
+    // remember the original order, to go back to when no sort key is left
+    for (let j=0; j<table.tBodies[0].rows.length; j++) {
+      table.tBodies[0].rows[j].sorttable_index = j;
+    }
+
+    // the first sortable table of the page keeps its sort keys in the URL
+    if (!sorttable.urlTable) {
+      sorttable.urlTable = table;
+      sorttable.restoreSort(table);
+    }
+  },
+
+  toggleSort: function(table, cell, add) {
+    let keys = table.sorttable_keys || [];
+    const index = keys.findIndex(function(key) { return key.cell === cell; });
+
+    if (!add) {
+      keys = [{ cell: cell, reverse: index >= 0 && keys.length === 1 && !keys[0].reverse }];
+    } else if (index < 0) {
+      keys.push({ cell: cell, reverse: false });
+    } else if (!keys[index].reverse) {
+      keys[index].reverse = true;
+    } else {
+      keys.splice(index, 1);
+    }
+
+    sorttable.sortBy(table, keys);
+  },
+
+  // keys: [{cell: <th>, reverse: bool}], most significant first
+  sortBy: function(table, keys) {
+    table.sorttable_keys = keys;
+
+    forEach(table.tHead.rows[0].cells, function(cell) {
+      cell.className = cell.className.replace(/\s*\bsorttable_sorted(_reverse)?\b/g, '');
+      cell.removeAttribute('aria-sort');
+      const indicator = cell.querySelector('.sorttable-indicator');
+      if (indicator) cell.removeChild(indicator);
+    });
+
+    keys.forEach(function(key, n) {
+      key.cell.className += key.reverse ? ' sorttable_sorted_reverse' : ' sorttable_sorted';
+      key.cell.setAttribute('aria-sort', key.reverse ? 'descending' : 'ascending');
+      const indicator = document.createElement('span');
+      indicator.className = 'sorttable-indicator';
+      indicator.innerHTML = (key.reverse ? '&nbsp;&#x25B4;' : '&nbsp;&#x25BE;') +
+        (keys.length > 1 ? '<sup>' + (n + 1) + '</sup>' : '');
+      key.cell.appendChild(indicator);
+    });
+
+    // build an array to sort. This is a Schwartzian transform thing,
+    // i.e., we "decorate" each row with the actual sort keys,
+    // sort based on the sort keys, and then put the rows back in order
+    // which is a lot faster because you only do getInnerText once per row.
+    // The column index is looked up now, as columns may have been moved.
+    const tb = table.tBodies[0];
+    const columns = keys.map(function(key) { return key.cell.cellIndex; });
+    const row_array = [];
+    for (let j=0; j<tb.rows.length; j++) {
+      row_array.push({
+        values: columns.map(function(col) { return sorttable.getInnerText(tb.rows[j].cells[col]); }),
+        row: tb.rows[j]
+      });
+    }
+
+    // Array.prototype.sort is stable, so equal rows keep their order
+    row_array.sort(function(a, b) {
+      for (let k=0; k<keys.length; k++) {
+        const order = keys[k].cell.sorttable_sortfunction([a.values[k]], [b.values[k]]);
+        if (order !== 0) return keys[k].reverse ? -order : order;
+      }
+      return keys.length ? 0 : (a.row.sorttable_index || 0) - (b.row.sorttable_index || 0);
+    });
+
+    for (let j=0; j<row_array.length; j++) {
+      tb.appendChild(row_array[j].row);
+    }
+  },
+
+  // a column is named by its col-* class, e.g. "requirement", or else by its
+  // position; a descending key is prefixed with "-"
+  columnKey: function(cell) {
+    const match = cell.className.match(/\bcol-([\w-]+)/);
+    return match ? match[1] : String(cell.cellIndex + 1);
+  },
+
+  saveSort: function(table) {
+    if (table !== sorttable.urlTable) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const keys = table.sorttable_keys.map(function(key) {
+      return (key.reverse ? '-' : '') + sorttable.columnKey(key.cell);
+    });
+    if (keys.length) params.set('sort', keys.join(','));
+    else params.delete('sort');
+
+    const search = params.toString();
+    history.replaceState(history.state, '', window.location.pathname + (search ? '?' + search : '') + window.location.hash);
+  },
+
+  restoreSort: function(table) {
+    const sort = new URLSearchParams(window.location.search).get('sort');
+    if (!sort) return;
+
+    const cells = Array.from(table.tHead.rows[0].cells);
+    const keys = [];
+    sort.split(',').forEach(function(name) {
+      const reverse = name.charAt(0) === '-';
+      const cell = cells.find(function(c) {
+        return c.sorttable_sortfunction && sorttable.columnKey(c) === name.replace(/^-/, '');
+      });
+      if (cell && !keys.some(function(key) { return key.cell === cell; })) {
+        keys.push({ cell: cell, reverse: reverse });
+      }
+    });
+    if (keys.length) sorttable.sortBy(table, keys);
   },
 
   guessType: function(table, column) {
@@ -0,0 +1,224 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Column chooser for attribute tables. Columns are named by their col-* header
+// class; the order and the hidden columns are saved in localStorage and shared
+// by all attribute tables, so a column hidden on one class page stays hidden on
+// the others. Moving a column moves the cells of every row; rows added later by
+// the attribute tree follow the header order by themselves. Hidden columns are
+// hidden with a generated nth-child style rule, which covers those rows too but
+// not the rows of the enum tables nested in description cells.
+
+const tableColumnsStorageKey = 'schema_table_columns';
+
+function load_table_columns() {
+  try {
+    const layout = JSON.parse(localStorage.getItem(tableColumnsStorageKey));
+    if (layout && Array.isArray(layout.order) && Array.isArray(layout.hidden)) return layout;
+  } catch (e) {
+    // fall through to the default layout
+  }
+  return { order: [], hidden: [] };
+}
+
+function store_table_columns(layout) {
+  localStorage.setItem(tableColumnsStorageKey, JSON.stringify(layout));
+}
+
+function table_column_key(th) {
+  const match = th.className.match(/\bcol-([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+function table_column_headers(table) {
+  return Array.from(table.tHead.rows[0].cells);
+}
+
+// The chooser is rendered into #table-columns-menu
+function init_table_columns(selector) {
+  const table = document.querySelector(selector);
+  const menu = document.getElementById('table-columns-menu');
+  if (!table || !menu) return;
+
+  // The template order is the default, restored by Reset
+  table.dataset.defaultColumns = table_column_headers(table).map(table_column_key).filter(Boolean).join(',');
+  apply_table_columns(table, load_table_columns());
+  render_table_columns(table);
+
+  // Keep the menu open while columns are toggled and moved
+  $(menu).on('click', function(e) { e.stopPropagation(); });
+
+  $(menu).on('change', 'input[type=checkbox]', function() {
+    const key = this.value;
+    const layout = current_table_columns(table);
+    layout.hidden = layout.hidden.filter(function(k) { return k !== key; });
+    if (!this.checked) layout.hidden.push(key);
+    save_table_columns(table, layout);
+  });
+
+  $(menu).on('click', '#table-columns-reset', function() {
+    const layout = current_table_columns(table, table.dataset.defaultColumns.split(','));
+    layout.hidden = [];
+    save_table_columns(table, layout);
+  });
+
+  // Alt+Up and Alt+Down move the focused column, as an alternative to dragging
+  $(menu).on('keydown', '.column-chooser-item', function(e) {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    const sibling = e.key === 'ArrowUp' ? this.previousElementSibling : this.nextElementSibling;
+    if (!sibling) return;
+    if (e.key === 'ArrowUp') sibling.before(this);
+    else sibling.after(this);
+    save_table_columns_from_menu(table);
+    menu.querySelector('.column-chooser-item[data-column="' + this.dataset.column + '"] input').focus();
+  });
+
+  init_table_columns_drag(table, menu);
+}
+
+function init_table_columns_drag(table, menu) {
+  let dragged = null;
+
+  menu.addEventListener('dragstart', function(e) {
+    dragged = e.target.closest('.column-chooser-item');
+    if (!dragged) return;
+    dragged.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged.dataset.column);
+  });
+
+  menu.addEventListener('dragover', function(e) {
+    const target = e.target.closest('.column-chooser-item');
+    if (!dragged || !target || target === dragged) return;
+    e.preventDefault();
+    const box = target.getBoundingClientRect();
+    if (e.clientY < box.top + box.height / 2) target.before(dragged);
+    else target.after(dragged);
+  });
+
+  menu.addEventListener('drop', function(e) {
+    if (dragged) e.preventDefault();
+  });
+
+  menu.addEventListener('dragend', function() {
+    if (!dragged) return;
+    dragged.classList.remove('dragging');
+    dragged = null;
+    save_table_columns_from_menu(table);
+  });
+}
+
+// Puts keys, the columns of this table in their new order, into the slots of
+// the saved order, so that columns of other tables keep their place.
+function merge_table_column_order(saved, keys) {
+  const order = saved.slice();
+  keys.forEach(function(key, i) {
+    if (!order.includes(key)) {
+      order.splice(i > 0 ? order.indexOf(keys[i - 1]) + 1 : 0, 0, key);
+    }
+  });
+
+  let n = 0;
+  return order.map(function(key) { return keys.includes(key) ? keys[n++] : key; });
+}
+
+// The layout currently shown, merged into the saved one
+function current_table_columns(table, keys) {
+  const saved = load_table_columns();
+  const present = table_column_headers(table).map(table_column_key).filter(Boolean);
+  const hidden = table.dataset.hiddenColumns ? table.dataset.hiddenColumns.split(',') : [];
+
+  return {
+    order: merge_table_column_order(saved.order, keys || present),
+    hidden: hidden.concat(saved.hidden.filter(function(key) { return !present.includes(key); }))
+  };
+}
+
+function save_table_columns(table, layout) {
+  store_table_columns(layout);
+  apply_table_columns(table, layout);
+  render_table_columns(table);
+}
+
+function save_table_columns_from_menu(table) {
+  const order = Array.from(document.querySelectorAll('#table-columns-menu .column-chooser-item'))
+    .map(function(item) { return item.dataset.column; });
+  save_table_columns(table, current_table_columns(table, order));
+}
+
+// ─── Applying ────────────────────────────────────────────────────────────────
+
+function apply_table_columns(table, layout) {
+  const headers = table_column_headers(table);
+  const keys = headers.map(table_column_key);
+
+  // Columns that the saved order does not know keep their place after the
+  // column they follow in the template
+  const order = layout.order.filter(function(key) { return keys.includes(key); });
+  keys.forEach(function(key, i) {
+    if (key && !order.includes(key)) {
+      const previous = keys.slice(0, i).reverse().find(function(k) { return order.includes(k); });
+      order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, key);
+    }
+  });
+
+  const positions = order.map(function(key) { return keys.indexOf(key); });
+  const moved = positions.some(function(position, i) { return position !== i; });
+  if (moved && positions.length === keys.length) {
+    Array.from(table.rows).forEach(function(row) {
+      if (row.cells.length !== keys.length) return;
+      const cells = Array.from(row.cells);
+      positions.forEach(function(position) { row.appendChild(cells[position]); });
+    });
+  }
+
+  // The name column cannot be hidden
+  const hidden = layout.hidden.filter(function(key) { return key !== 'name' && keys.includes(key); });
+  table.dataset.hiddenColumns = hidden.join(',');
+
+  let style = document.getElementById('table-columns-style');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'table-columns-style';
+    document.head.appendChild(style);
+  }
+  style.textContent = table_column_headers(table).map(function(th, i) {
+    const cell = ' > tr > :nth-child(' + (i + 1) + ')';
+    return hidden.includes(table_column_key(th))
+      ? '#' + table.id + ' > thead' + cell + ', #' + table.id + ' > tbody' + cell + ' { display: none; }'
+      : '';
+  }).join('\n');
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function render_table_columns(table) {
+  const hidden = table.dataset.hiddenColumns ? table.dataset.hiddenColumns.split(',') : [];
+  const headers = table_column_headers(table).filter(table_column_key);
+
+  document.getElementById('table-columns-menu').innerHTML =
+    '<div class="column-chooser-hint">Drag to reorder, or Alt+↑/↓</div>' +
+    headers.map(function(th) {
+      const key = table_column_key(th);
+      const caption = th.firstChild ? th.firstChild.textContent.trim() : key;
+      return '<div class="column-chooser-item" draggable="true" data-column="' + escape_html(key) + '">' +
+        '<i class="fas fa-grip-vertical column-chooser-grip"></i>' +
+        '<label class="tool-checkbox"><input type="checkbox" value="' + escape_html(key) + '"' +
+        (hidden.includes(key) ? '' : ' checked') + (key === 'name' ? ' disabled' : '') + '> ' +
+        escape_html(caption) + '</label>' +
+        '</div>';
+    }).join('') +
+    '<div class="dropdown-divider"></div>' +
+    '<button type="button" id="table-columns-reset" class="btn btn-sm btn-link">Reset columns</button>';
+
+  const count = hidden.length;
+  $('#table-columns-toggle').text(count ? 'Columns (' + count + ' hidden)' : 'Columns');
+}
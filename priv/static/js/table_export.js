@@ -0,0 +1,280 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Export of attribute tables as CSV, Markdown or XLSX. Only the rows that are
+// currently visible are written, in their current order, so the attribute
+// filters, the search and the sort order all apply. Expanded attribute tree
+// rows are included with their full dotted path. The XLSX file is built in the
+// browser as an uncompressed zip of the minimal SpreadsheetML parts.
+
+const TABLE_EXPORT_COLUMNS = ['Name', 'Caption', 'Type', 'Requirement', 'Profile', 'Description'];
+
+function init_table_export(table) {
+  $('#table-export').on('change', function() {
+    const format = this.value;
+    this.value = '';
+    if (format) export_table(document.querySelector(table), format);
+  });
+}
+
+// ─── Rows ────────────────────────────────────────────────────────────────────
+
+function table_export_text(cell) {
+  if (!cell) return '';
+  const copy = cell.cloneNode(true);
+  copy.querySelectorAll('button, .tree-recursive, .validation-marker, .deprecated-attr-badge, sup')
+    .forEach(function(e) { e.remove(); });
+  return copy.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function table_export_rows(table) {
+  const columns = Array.from(table.tHead.rows[0].cells).map(function(th) {
+    return th.className.split(' ')[0];
+  });
+  function cell(row, column) {
+    const index = columns.indexOf(column);
+    return index >= 0 ? row.cells[index] : null;
+  }
+
+  const rows = [];
+  table.querySelectorAll('tbody.searchable > tr').forEach(function(row) {
+    // Hidden by the attribute filters, the deprecated toggle or the search
+    if (row.getClientRects().length === 0) return;
+
+    let requirement = table_export_text(cell(row, 'col-requirement')).split(' ')[0];
+    if (!requirement) {
+      requirement = ['required', 'recommended', 'optional'].find(function(r) {
+        return row.classList.contains(r);
+      }) || '';
+      requirement = requirement.charAt(0).toUpperCase() + requirement.slice(1);
+    }
+
+    rows.push([
+      row.dataset.path || table_export_text(cell(row, 'col-name')),
+      table_export_text(cell(row, 'col-caption')),
+      table_export_text(cell(row, 'col-type')),
+      requirement,
+      (row.dataset.profiles || '').split(',').filter(Boolean).join(', '),
+      table_export_text(cell(row, 'col-description'))
+    ]);
+  });
+  return rows;
+}
+
+function export_table(table, format) {
+  if (!table) return;
+
+  const rows = table_export_rows(table);
+  const name = (schema_base_path().split('/').filter(Boolean).pop() || 'attributes').replace(/[^\w.-]+/g, '_');
+
+  switch (format) {
+    case 'csv':
+      download_file(name + '.csv', 'text/csv', '﻿' + table_export_csv(rows));
+      break;
+    case 'markdown':
+      download_file(name + '.md', 'text/markdown', table_export_markdown(rows));
+      break;
+    case 'xlsx':
+      download_file(name + '.xlsx',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', table_export_xlsx(rows, name));
+      break;
+  }
+}
+
+// ─── CSV and Markdown ────────────────────────────────────────────────────────
+
+function table_export_csv(rows) {
+  return [TABLE_EXPORT_COLUMNS].concat(rows).map(function(row) {
+    return row.map(function(value) {
+      return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+function table_export_markdown(rows) {
+  function line(row) {
+    return '| ' + row.map(function(value) { return value.replace(/\|/g, '\\|'); }).join(' | ') + ' |';
+  }
+  return [
+    line(TABLE_EXPORT_COLUMNS),
+    '|' + TABLE_EXPORT_COLUMNS.map(function() { return ' --- '; }).join('|') + '|'
+  ].concat(rows.map(line)).join('\n') + '\n';
+}
+
+// ─── XLSX ────────────────────────────────────────────────────────────────────
+
+function xlsx_escape(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xlsx_column(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function xlsx_sheet(rows) {
+  const widths = [32, 28, 18, 14, 24, 80];
+  const last = xlsx_column(TABLE_EXPORT_COLUMNS.length - 1) + (rows.length + 1);
+
+  const xml = [TABLE_EXPORT_COLUMNS].concat(rows).map(function(row, r) {
+    return '<row r="' + (r + 1) + '">' + row.map(function(value, c) {
+      return '<c r="' + xlsx_column(c) + (r + 1) + '" t="inlineStr"' + (r === 0 ? ' s="1"' : '') + '>' +
+        '<is><t xml:space="preserve">' + xlsx_escape(value) + '</t></is></c>';
+    }).join('') + '</row>';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    '<cols>' + widths.map(function(width, i) {
+      return '<col min="' + (i + 1) + '" max="' + (i + 1) + '" width="' + width + '" customWidth="1"/>';
+    }).join('') + '</cols>' +
+    '<sheetData>' + xml + '</sheetData>' +
+    '<autoFilter ref="A1:' + last + '"/>' +
+    '</worksheet>';
+}
+
+function table_export_xlsx(rows, name) {
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const sheet = xlsx_escape(name.replace(/[[\]:*?/\\]/g, '_').substring(0, 31));
+
+  return zip_store({
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets><sheet name="' + sheet + '" sheetId="1" r:id="rId1"/></sheets>' +
+      '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">' +
+      "'" + sheet.replace(/'/g, "''") + "'!$A$1:$" + xlsx_column(TABLE_EXPORT_COLUMNS.length - 1) + '$' + (rows.length + 1) +
+      '</definedName></definedNames>' +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+    'xl/styles.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+    'xl/worksheets/sheet1.xml': xlsx_sheet(rows)
+  });
+}
+
+// ─── Zip ─────────────────────────────────────────────────────────────────────
+
+let zip_crc_table = null;
+
+function zip_crc32(bytes) {
+  if (!zip_crc_table) {
+    zip_crc_table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      zip_crc_table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = zip_crc_table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Builds a zip archive of the given { name: text } entries, without compression.
+function zip_store(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(function([name, text]) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = zip_crc32(data);
+
+    // Version needed, flags (UTF-8 names), method (stored), time, date, crc, sizes, name length
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+
+    parts.push(local, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const size = central.reduce(function(sum, part) { return sum + part.byteLength; }, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, central.length / 2, true);
+  end.setUint16(10, central.length / 2, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob(parts.concat(central, [end]));
+}
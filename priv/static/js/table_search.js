@@ -0,0 +1,325 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Query language for the attribute table search box. Terms are combined with
+// AND (implicit), OR and NOT (or a leading "-"), grouped with parentheses and
+// may be scoped to a field, e.g. `type:string_t -deprecated:true (name:uid OR req:required)`.
+// Words of four or more letters also match with a small number of typos.
+
+const TABLE_SEARCH_FIELDS = {
+  name: 'col-name',
+  caption: 'col-caption',
+  group: 'col-group',
+  req: 'col-requirement',
+  type: 'col-type',
+  desc: 'col-description'
+};
+
+const TABLE_SEARCH_ALIASES = {
+  requirement: 'req',
+  description: 'desc',
+  profiles: 'profile'
+};
+
+const TABLE_SEARCH_HELP =
+  'Search with field scopes name:, caption:, type:, req:, group:, desc:, profile: and deprecated:true, ' +
+  'combined with AND, OR, NOT or -term and parentheses. Quote phrases, e.g. desc:"host name".';
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+function tokenize_table_search(query) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|(-)?(?:([a-z_]+):)?(?:"([^"]*)"?|([^\s()"]+)))/giy;
+  let match;
+
+  while (re.lastIndex < query.length && (match = re.exec(query)) !== null) {
+    if (match[1]) {
+      tokens.push({ kind: '(' });
+    } else if (match[2]) {
+      tokens.push({ kind: ')' });
+    } else {
+      const phrase = match[5] !== undefined;
+      const value = phrase ? match[5] : match[6];
+      if (!phrase && !match[3] && !match[4] && /^(AND|OR|NOT)$/.test(value)) {
+        tokens.push({ kind: value });
+        continue;
+      }
+
+      const field = match[4] ? match[4].toLowerCase() : null;
+      const term = {
+        kind: 'term',
+        field: field ? (TABLE_SEARCH_ALIASES[field] || field) : null,
+        value: value.toLowerCase(),
+        phrase: phrase
+      };
+      // An unknown scope such as "http:" is searched as plain text
+      if (term.field && !(term.field in TABLE_SEARCH_FIELDS) && term.field !== 'profile' && term.field !== 'deprecated') {
+        term.value = field + ':' + term.value;
+        term.field = null;
+      }
+      if (match[3]) tokens.push({ kind: 'NOT' });
+      tokens.push(term);
+    }
+  }
+
+  // Whatever the pattern could not consume (e.g. trailing spaces) is ignored
+  return tokens;
+}
+
+// Grammar: or := and ("OR" and)* ; and := not (["AND"] not)* ;
+// not := "NOT" not | "(" or ")" | term. Unbalanced parentheses are tolerated.
+function parse_table_search(query) {
+  const tokens = tokenize_table_search(query);
+  let pos = 0;
+
+  function peek() { return tokens[pos] ? tokens[pos].kind : null; }
+
+  function parse_or() {
+    const items = [parse_and()];
+    while (peek() === 'OR') {
+      pos++;
+      items.push(parse_and());
+    }
+    return items.length === 1 ? items[0] : { op: 'or', items: items };
+  }
+
+  function parse_and() {
+    const items = [];
+    while (pos < tokens.length && peek() !== 'OR' && peek() !== ')') {
+      if (peek() === 'AND') {
+        pos++;
+        continue;
+      }
+      items.push(parse_not());
+    }
+    return items.length === 1 ? items[0] : { op: 'and', items: items };
+  }
+
+  function parse_not() {
+    const kind = peek();
+    pos++;
+    if (kind === 'NOT') {
+      return pos < tokens.length ? { op: 'not', item: parse_not() } : { op: 'and', items: [] };
+    }
+    if (kind === '(') {
+      const node = parse_or();
+      if (peek() === ')') pos++;
+      return node;
+    }
+    const term = tokens[pos - 1];
+    return { op: 'term', field: term.field, value: term.value, phrase: term.phrase };
+  }
+
+  // A stray closing parenthesis ends parse_or early; skip it and go on
+  const items = [parse_or()];
+  while (pos < tokens.length) {
+    pos++;
+    items.push(parse_or());
+  }
+  return items.length === 1 ? items[0] : { op: 'and', items: items };
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+// Levenshtein distance, giving up as soon as it exceeds max.
+function table_search_distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, function(_, i) { return i; });
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function table_search_tolerance(value) {
+  if (value.length >= 8) return 2;
+  if (value.length >= 4) return 1;
+  return 0;
+}
+
+// Returns the substring of text that matches value, or null. Exact substrings
+// win; otherwise a single-word value may match any word (or underscore
+// separated part of a word) within the typo tolerance.
+function table_search_match(text, value, phrase) {
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(value);
+  if (index >= 0) return text.substring(index, index + value.length);
+
+  const max = table_search_tolerance(value);
+  if (phrase || max === 0 || /\s/.test(value)) return null;
+
+  const words = text.match(/[\w.]+/g) || [];
+  for (const word of words) {
+    const parts = [word].concat(word.split(/[_.]/));
+    for (const part of parts) {
+      if (part.length > 1 && table_search_distance(value, part.toLowerCase(), max) <= max) {
+        return part;
+      }
+    }
+  }
+  return null;
+}
+
+// The cells of the row that an unscoped or field-scoped term is matched against.
+function table_search_cells(row, columns, field) {
+  const cells = row.children;
+  if (field) {
+    const index = columns.indexOf(TABLE_SEARCH_FIELDS[field]);
+    return index >= 0 && cells[index] ? [cells[index]] : [];
+  }
+  // Same as the plain search: every column but the last, which is usually a
+  // long description or a reference list
+  const count = cells.length > 2 ? cells.length - 1 : 1;
+  return Array.prototype.slice.call(cells, 0, count);
+}
+
+function table_search_term(row, columns, term, hits) {
+  const value = term.value;
+
+  if (term.field === 'deprecated') {
+    const deprecated = row.classList.contains('deprecated');
+    return /^(true|yes|1)$/.test(value) ? deprecated : !deprecated;
+  }
+
+  if (term.field === 'profile') {
+    const profiles = (row.dataset.profiles || '').split(',').filter(Boolean);
+    return profiles.some(function(profile) {
+      return table_search_match(profile.split('/').pop(), value, term.phrase) !== null ||
+        table_search_match(profile, value, term.phrase) !== null;
+    });
+  }
+
+  let matched = false;
+
+  if (term.field === 'type' && row.dataset.type &&
+      table_search_match(row.dataset.type, value, term.phrase) !== null) {
+    matched = true;
+  }
+
+  const cells = table_search_cells(row, columns, term.field);
+
+  // Tables without a requirement column still carry it as a row class
+  if (term.field === 'req' && cells.length === 0) {
+    const requirement = ['required', 'recommended', 'optional'].find(function(r) {
+      return row.classList.contains(r);
+    });
+    if (requirement && table_search_match(requirement, value, term.phrase) !== null) matched = true;
+  }
+
+  cells.forEach(function(cell) {
+    const found = table_search_match(cell.textContent, value, term.phrase);
+    if (found !== null) {
+      matched = true;
+      hits.push({ cell: cell, text: found });
+    }
+  });
+
+  return matched;
+}
+
+// Evaluates the query for a row. Highlights are only collected for terms that
+// contribute to a match, so negated terms are never highlighted.
+function table_search_eval(node, row, columns, hits) {
+  switch (node.op) {
+    case 'term':
+      return table_search_term(row, columns, node, hits);
+    case 'not':
+      return !table_search_eval(node.item, row, columns, []);
+    case 'and': {
+      const local = [];
+      const ok = node.items.every(function(item) { return table_search_eval(item, row, columns, local); });
+      if (ok) hits.push.apply(hits, local);
+      return ok;
+    }
+    case 'or': {
+      let ok = false;
+      node.items.forEach(function(item) {
+        if (table_search_eval(item, row, columns, hits)) ok = true;
+      });
+      return ok;
+    }
+  }
+  return true;
+}
+
+// ─── Highlighting ────────────────────────────────────────────────────────────
+
+function clear_table_search_highlights(root) {
+  root.querySelectorAll('mark.search-hit').forEach(function(mark) {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+}
+
+function highlight_table_search(cell, text) {
+  const needle = text.toLowerCase();
+  const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT, {
+    acceptNode: function(node) {
+      return node.parentNode.closest('mark.search-hit, button')
+        ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  nodes.forEach(function(node) {
+    let index = node.data.toLowerCase().indexOf(needle);
+    while (index >= 0) {
+      const match = node.splitText(index);
+      node = match.splitText(needle.length);
+      const mark = document.createElement('mark');
+      mark.className = 'search-hit';
+      match.parentNode.replaceChild(mark, match);
+      mark.appendChild(match);
+      index = node.data.toLowerCase().indexOf(needle);
+    }
+  });
+}
+
+// ─── Table search ────────────────────────────────────────────────────────────
+
+function search_table_rows(query) {
+  const tbodies = document.querySelectorAll('tbody.searchable');
+  const tree = query.trim() === '' ? null : parse_table_search(query);
+
+  tbodies.forEach(function(tbody) {
+    clear_table_search_highlights(tbody);
+
+    const head = tbody.closest('table').tHead;
+    const columns = head && head.rows[0]
+      ? Array.from(head.rows[0].cells).map(function(th) { return th.className.split(' ')[0]; })
+      : [];
+
+    Array.from(tbody.children).forEach(function(row) {
+      if (!tree) {
+        row.style.display = '';
+        return;
+      }
+
+      const hits = [];
+      const matched = table_search_eval(tree, row, columns, hits);
+      row.style.display = matched ? '' : 'none';
+      if (matched) {
+        hits.forEach(function(hit) { highlight_table_search(hit.cell, hit.text); });
+      }
+    });
+  });
+}
@@ -0,0 +1,249 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// type_uid, class_uid and category_uid decoder and builder. A type_uid is the
+// class_uid * 100 plus the activity_id, and a class belongs to its category_uid
+// or to its uid / 1000 (see class_category_uid in app.js). Pasted uids are
+// decoded in a batch; the builder goes the other way, from a category, class
+// and activity to the uids. The classes and their activities come from the
+// schema export, with the current extension selection (see schema_export in
+// app.js).
+
+let uid_index = null;
+
+async function init_uid_decoder() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('uids')) $('#uid-input').val(params.get('uids').split(',').join('\n'));
+
+  let timer = null;
+  $('#uid-input').on('input', function() {
+    clearTimeout(timer);
+    timer = setTimeout(render_uid_table, 200);
+  });
+  $('#uid-kind').on('change', render_uid_table);
+
+  $('#uid-category').on('change', function() {
+    render_uid_builder_classes();
+    render_uid_builder_activities();
+    render_uid_builder_result();
+  });
+  $('#uid-class').on('change', function() {
+    render_uid_builder_activities();
+    render_uid_builder_result();
+  });
+  $('#uid-activity').on('change', render_uid_builder_result);
+  $('#uid-add').on('click', function() {
+    const uid = document.getElementById('uid-add').dataset.uid;
+    if (!uid) return;
+    const input = document.getElementById('uid-input');
+    input.value = (input.value.trim() ? input.value.trim() + '\n' : '') + uid;
+    render_uid_table();
+  });
+
+  const results = document.getElementById('uid-results');
+  results.innerHTML = validation_message('info', 'Loading the schema…');
+  try {
+    uid_index = build_uid_index(await schema_export());
+  } catch (e) {
+    results.innerHTML = validation_message('error', e.message);
+    return;
+  }
+
+  render_uid_builder_categories();
+  render_uid_builder_classes();
+  render_uid_builder_activities();
+  render_uid_builder_result();
+  render_uid_table();
+}
+
+function build_uid_index(schema) {
+  const categories = {};
+  const classes = {};
+
+  Object.entries((schema.categories && schema.categories.attributes) || {}).forEach(function([name, category]) {
+    categories[category.uid] = Object.assign({ name: name }, category);
+  });
+
+  Object.entries(schema.classes || {}).forEach(function([name, cls]) {
+    if (cls.uid) classes[cls.uid] = Object.assign({ name: name }, cls);
+  });
+
+  return { categories: categories, classes: classes };
+}
+
+// The activities of a class, by activity_id: { id: caption }
+function uid_class_activities(cls) {
+  const activity = cls.attributes && cls.attributes.activity_id;
+  const activities = {};
+  Object.entries((activity && activity.enum) || {}).forEach(function([id, item]) {
+    activities[id] = item.caption || id;
+  });
+  return activities;
+}
+
+// ─── Decoding ────────────────────────────────────────────────────────────────
+
+// kind: 'auto', 'type_uid', 'class_uid' or 'category_uid'. Automatic detection
+// tries a category_uid, then a class_uid, then a type_uid.
+function decode_uid(text, kind) {
+  const result = { input: text };
+  if (!/^\d+$/.test(text)) {
+    result.error = 'Not a uid';
+    return result;
+  }
+
+  const uid = Number(text);
+  if (kind === 'auto') {
+    if (uid_index.categories[uid]) kind = 'category_uid';
+    else if (uid_index.classes[uid]) kind = 'class_uid';
+    else if (uid_index.classes[Math.floor(uid / 100)]) kind = 'type_uid';
+    else {
+      result.error = 'Not a known category_uid, class_uid or type_uid';
+      return result;
+    }
+  }
+  result.kind = kind;
+
+  let cls = null;
+  switch (kind) {
+    case 'category_uid':
+      result.category = uid_index.categories[uid];
+      if (!result.category) result.error = 'No category with this uid';
+      return result;
+
+    case 'class_uid':
+      cls = uid_index.classes[uid];
+      if (!cls) result.error = 'No class with this uid';
+      break;
+
+    case 'type_uid': {
+      cls = uid_index.classes[Math.floor(uid / 100)];
+      if (!cls) {
+        result.error = 'No class with class_uid ' + Math.floor(uid / 100);
+        break;
+      }
+      const id = uid % 100;
+      const caption = uid_class_activities(cls)[id];
+      result.activity = { id: id, caption: caption };
+      if (caption === undefined) result.error = 'Activity ' + id + ' is not defined for this class';
+      break;
+    }
+  }
+
+  if (cls) {
+    result.class = cls;
+    const categoryUid = class_category_uid(cls);
+    result.category = uid_index.categories[categoryUid] || { uid: categoryUid };
+  }
+  return result;
+}
+
+function render_uid_table() {
+  if (!uid_index) return;
+
+  const kind = $('#uid-kind').val();
+  const inputs = $('#uid-input').val().split(/[\s,;]+/).filter(Boolean);
+
+  const params = new URLSearchParams(window.location.search);
+  if (inputs.length && inputs.length <= 50) params.set('uids', inputs.join(','));
+  else params.delete('uids');
+  const search = params.toString();
+  history.replaceState(null, '', window.location.pathname + (search ? '?' + search : ''));
+
+  const results = document.getElementById('uid-results');
+  if (inputs.length === 0) {
+    results.innerHTML = '';
+    return;
+  }
+
+  results.innerHTML =
+    '<table class="table table-bordered table-sm uid-table">' +
+    '<thead><tr class="thead-color">' +
+    '<th>Input</th><th>Kind</th><th>Category</th><th>Class</th><th>Activity</th><th>Notes</th>' +
+    '</tr></thead><tbody>' +
+    inputs.map(function(input) { return uid_table_row(decode_uid(input, kind)); }).join('') +
+    '</tbody></table>';
+}
+
+function uid_table_row(result) {
+  const category = result.category;
+  const cls = result.class;
+  const activity = result.activity;
+
+  return '<tr' + (result.error ? ' class="uid-error"' : '') + '>' +
+    '<td class="name"><code>' + escape_html(result.input) + '</code></td>' +
+    '<td>' + escape_html(result.kind || '') + '</td>' +
+    '<td>' + (category
+      ? '<code>' + escape_html(category.uid) + '</code> ' +
+        (category.name ? '<a href="/categories/' + escape_html(category.name) + '">' + escape_html(category.caption || category.name) + '</a>' : '')
+      : '') + '</td>' +
+    '<td>' + (cls
+      ? '<code>' + escape_html(cls.uid) + '</code> <a href="/classes/' + escape_html(cls.name) + '">' + escape_html(cls.caption || cls.name) + '</a>'
+      : '') + '</td>' +
+    '<td>' + (activity
+      ? '<code>' + escape_html(activity.id) + '</code> ' + escape_html(activity.caption || '')
+      : '') + '</td>' +
+    '<td>' + (result.error ? '<span class="validation-message error">' + escape_html(result.error) + '</span>' : '') + '</td>' +
+    '</tr>';
+}
+
+// ─── Building ────────────────────────────────────────────────────────────────
+
+function render_uid_builder_categories() {
+  const categories = Object.values(uid_index.categories).sort(function(a, b) { return a.uid - b.uid; });
+  $('#uid-category').html(categories.map(function(category) {
+    return '<option value="' + category.uid + '">' + escape_html(category.uid + ' – ' + (category.caption || category.name)) + '</option>';
+  }).join(''));
+}
+
+function render_uid_builder_classes() {
+  const categoryUid = Number($('#uid-category').val());
+  const classes = Object.values(uid_index.classes)
+    .filter(function(cls) { return class_category_uid(cls) === categoryUid; })
+    .sort(function(a, b) { return a.uid - b.uid; });
+
+  $('#uid-class').html(classes.map(function(cls) {
+    return '<option value="' + cls.uid + '">' + escape_html(cls.uid + ' – ' + (cls.caption || cls.name)) + '</option>';
+  }).join(''));
+}
+
+function render_uid_builder_activities() {
+  const cls = uid_index.classes[$('#uid-class').val()];
+  const activities = cls ? uid_class_activities(cls) : {};
+
+  $('#uid-activity').html(Object.entries(activities)
+    .sort(function([a], [b]) { return Number(a) - Number(b); })
+    .map(function([id, caption]) {
+      return '<option value="' + escape_html(id) + '">' + escape_html(id + ' – ' + caption) + '</option>';
+    }).join(''));
+}
+
+function render_uid_builder_result() {
+  const cls = uid_index.classes[$('#uid-class').val()];
+  const activity = $('#uid-activity').val();
+  const output = document.getElementById('uid-builder-result');
+  const add = document.getElementById('uid-add');
+
+  if (!cls || activity == null) {
+    output.innerHTML = '';
+    add.dataset.uid = '';
+    add.disabled = true;
+    return;
+  }
+
+  const typeUid = cls.uid * 100 + Number(activity);
+  output.innerHTML =
+    '<span>category_uid <code>' + escape_html(class_category_uid(cls)) + '</code></span>' +
+    '<span>class_uid <code>' + escape_html(cls.uid) + '</code></span>' +
+    '<span>activity_id <code>' + escape_html(activity) + '</code></span>' +
+    '<span>type_uid <code>' + typeUid + '</code></span>';
+  add.dataset.uid = typeUid;
+  add.disabled = false;
+}
@@ -0,0 +1,193 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// In-page event validator for class pages. Events are posted to the
+// /api/v2/validate and /api/v2/validate_bundle endpoints and the findings are
+// listed by attribute path and flagged on the matching attribute table rows.
+
+function toggle_validator_panel() {
+  const panel = document.getElementById('validator-panel');
+  if (!panel) return;
+
+  panel.classList.toggle('d-none');
+  if (!panel.classList.contains('d-none')) {
+    document.getElementById('validator-input').focus();
+  }
+}
+
+function init_validator() {
+  const input = document.getElementById('validator-input');
+  if (!input) return;
+
+  input.addEventListener('dragover', function(e) {
+    e.preventDefault();
+    input.classList.add('drag-over');
+  });
+
+  input.addEventListener('dragleave', function() {
+    input.classList.remove('drag-over');
+  });
+
+  input.addEventListener('drop', function(e) {
+    e.preventDefault();
+    input.classList.remove('drag-over');
+
+    const file = e.dataTransfer.files && e.dataTransfer.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = function() { input.value = reader.result; };
+      reader.readAsText(file);
+    }
+  });
+
+  input.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      run_validation();
+    }
+  });
+
+  $('#validator-run').on('click', run_validation);
+  $('#validator-results').on('click', '.validation-path', function() {
+    focus_validation_row(this.dataset.path);
+  });
+  $('#validator-clear').on('click', function() {
+    input.value = '';
+    clear_validation_results();
+  });
+}
+
+// Decide which endpoint to use. A JSON array is treated as a list of events and
+// wrapped in a bundle; an object with an "events" array is already a bundle.
+function validation_request(value, mode) {
+  if (mode === 'auto') {
+    if (Array.isArray(value)) {
+      return { endpoint: 'validate_bundle', body: { events: value } };
+    }
+    mode = value && Array.isArray(value.events) ? 'bundle' : 'event';
+  }
+
+  if (mode === 'bundle') {
+    const body = Array.isArray(value) ? { events: value } : value;
+    return { endpoint: 'validate_bundle', body: body };
+  }
+
+  return { endpoint: 'validate', body: value };
+}
+
+async function run_validation() {
+  const text = document.getElementById('validator-input').value.trim();
+  const mode = document.getElementById('validator-mode').value;
+  const results = document.getElementById('validator-results');
+
+  clear_validation_results();
+  if (text === '') return;
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    results.innerHTML = validation_message('error', 'Invalid JSON: ' + e.message);
+    return;
+  }
+
+  const request = validation_request(value, mode);
+  results.innerHTML = validation_message('info', 'Validating…');
+
+  try {
+    const result = await post_validation(
+      request.endpoint, request.body, document.getElementById('validator-missing-recommended').checked
+    );
+    if (request.endpoint === 'validate_bundle') {
+      render_bundle_validation(result);
+    } else {
+      render_event_validation(result);
+    }
+  } catch (e) {
+    results.innerHTML = validation_message('error', e.message);
+  }
+}
+
+function render_event_validation(result) {
+  const results = document.getElementById('validator-results');
+  results.innerHTML = validation_section(result, 'Event' + (result.uid ? ' ' + result.uid : ''));
+  mark_validation_rows(result.errors || [], result.warnings || []);
+}
+
+function render_bundle_validation(result) {
+  const results = document.getElementById('validator-results');
+  const validations = result.event_validations || [];
+  const html = [validation_section(result, 'Bundle')];
+  const errors = [];
+  const warnings = [];
+
+  validations.forEach(function(validation, index) {
+    const title = 'Event ' + index + (validation.uid ? ' (' + validation.uid + ')' : '');
+    html.push(validation_section(validation, title));
+    errors.push.apply(errors, validation.errors || []);
+    warnings.push.apply(warnings, validation.warnings || []);
+  });
+
+  results.innerHTML = html.join('');
+  mark_validation_rows(errors, warnings);
+}
+
+function validation_rows() {
+  const rows = {};
+  // Rows are identified by their anchor (attr-<name>) rather than the name cell,
+  // which may contain markers and search highlights
+  $('#data-table tbody.searchable tr[id^="attr-"]').each(function() {
+    rows[this.id.substring(5).split('/').pop()] = this;
+  });
+  return rows;
+}
+
+function mark_validation_rows(errors, warnings) {
+  const rows = validation_rows();
+  const findings = {};
+
+  function collect(severity, list) {
+    list.forEach(function(finding) {
+      if (!finding.attribute_path) return;
+      const name = top_level_attribute(finding.attribute_path);
+      if (!rows[name]) return;
+      findings[name] = findings[name] || { error: [], warning: [] };
+      findings[name][severity].push(finding.attribute_path + ': ' + finding.message);
+    });
+  }
+
+  collect('error', errors);
+  collect('warning', warnings);
+
+  Object.entries(findings).forEach(function([name, found]) {
+    const severity = found.error.length ? 'error' : 'warning';
+    const count = found.error.length + found.warning.length;
+    const marker = document.createElement('span');
+    marker.className = 'validation-marker ' + severity;
+    marker.title = found.error.concat(found.warning).join('\n');
+    marker.textContent = count;
+    rows[name].classList.add('validation-' + severity);
+    rows[name].querySelector('td.name').appendChild(marker);
+  });
+}
+
+function focus_validation_row(name) {
+  const row = validation_rows()[name];
+  if (!row) return;
+  row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  row.classList.add('validation-focus');
+  setTimeout(function() { row.classList.remove('validation-focus'); }, 1500);
+}
+
+function clear_validation_results() {
+  document.getElementById('validator-results').innerHTML = '';
+  $('#data-table .validation-marker').remove();
+  $('#data-table tr').removeClass('validation-error validation-warning');
+}
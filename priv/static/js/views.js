@@ -0,0 +1,223 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Saved views: named presets of the sidebar selection. A view holds the
+// extensions, profiles, attribute filters, show deprecated and compact view
+// settings, which are otherwise kept in separate localStorage keys. Switching
+// to a view writes those keys and reloads the page with its extensions and
+// profiles. Views can be exported to and imported from a JSON file.
+
+const savedViewsStorageKey = 'schema_saved_views';
+const SAVED_VIEWS_FORMAT = 'ocsf-saved-views';
+
+function load_saved_views() {
+  try {
+    const views = JSON.parse(localStorage.getItem(savedViewsStorageKey));
+    return Array.isArray(views) ? views.map(normalize_view).filter(Boolean) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function store_saved_views(views) {
+  views.sort(function(a, b) { return a.name.localeCompare(b.name); });
+  localStorage.setItem(savedViewsStorageKey, JSON.stringify(views));
+}
+
+function current_view_settings() {
+  const attributes = localStorage.getItem(selectedAttributesStorageKey);
+  const extensions = get_selected_extensions();
+
+  return {
+    extensions: Object.keys(extensions).filter(function(name) { return extensions[name]; }).sort(),
+    profiles: get_selected_profiles().slice().sort(),
+    attributes: attributes == null
+      ? selectedAttributesDefaultValues.slice()
+      : attributes.split(',').filter(Boolean),
+    show_deprecated: localStorage.getItem(showDeprecatedStorageKey) === 'true',
+    compact_view: localStorage.getItem('schema_compact_view') !== 'false'
+  };
+}
+
+function same_view_settings(a, b) {
+  function same(x, y) {
+    return x.length === y.length && x.every(function(v) { return y.includes(v); });
+  }
+  return same(a.extensions, b.extensions) && same(a.profiles, b.profiles) &&
+    same(a.attributes, b.attributes) &&
+    a.show_deprecated === b.show_deprecated && a.compact_view === b.compact_view;
+}
+
+// Accepts a view read from storage or an imported file; anything malformed
+// returns null.
+function normalize_view(view) {
+  if (!view || typeof view.name !== 'string' || view.name.trim() === '') return null;
+
+  function strings(list) {
+    return Array.isArray(list) ? list.filter(function(v) { return typeof v === 'string'; }) : [];
+  }
+
+  return {
+    name: view.name.trim(),
+    extensions: strings(view.extensions),
+    profiles: strings(view.profiles),
+    attributes: Array.isArray(view.attributes) ? strings(view.attributes) : selectedAttributesDefaultValues.slice(),
+    show_deprecated: view.show_deprecated === true,
+    compact_view: view.compact_view !== false
+  };
+}
+
+// ─── Sidebar ─────────────────────────────────────────────────────────────────
+
+function init_saved_views() {
+  const select = document.getElementById('saved-views-select');
+  if (!select) return;
+
+  render_saved_views();
+
+  $(select).on('change', function() {
+    const view = load_saved_views().find(function(v) { return v.name === select.value; });
+    if (view) apply_saved_view(view);
+  });
+
+  $('#saved-view-save').on('click', save_current_view);
+  $('#saved-view-rename').on('click', rename_saved_view);
+  $('#saved-view-delete').on('click', delete_saved_view);
+  $('#saved-view-export').on('click', export_saved_views);
+  $('#saved-view-import').on('click', function() { $('#saved-view-import-file').trigger('click'); });
+  $('#saved-view-import-file').on('change', function() {
+    if (this.files && this.files[0]) import_saved_views(this.files[0]);
+    this.value = '';
+  });
+}
+
+// The view matching the current selection, if any, is shown as selected
+function render_saved_views() {
+  const select = document.getElementById('saved-views-select');
+  const views = load_saved_views();
+  const current = current_view_settings();
+  const active = views.find(function(view) { return same_view_settings(view, current); });
+
+  select.innerHTML =
+    '<option value=""' + (active ? '' : ' selected') + '>' +
+    (views.length ? 'Unsaved selection' : 'No saved views') + '</option>' +
+    views.map(function(view) {
+      return '<option value="' + escape_html(view.name) + '"' + (view === active ? ' selected' : '') + '>' +
+        escape_html(view.name) + '</option>';
+    }).join('');
+
+  $('#saved-view-rename, #saved-view-delete').prop('disabled', !active);
+  $('#saved-view-export').prop('disabled', views.length === 0);
+}
+
+function selected_saved_view() {
+  const name = document.getElementById('saved-views-select').value;
+  return load_saved_views().find(function(v) { return v.name === name; });
+}
+
+function save_current_view() {
+  const active = selected_saved_view();
+  const name = (prompt('Save the current selection as:', active ? active.name : '') || '').trim();
+  if (!name) return;
+
+  const views = load_saved_views();
+  const index = views.findIndex(function(v) { return v.name === name; });
+  if (index >= 0 && !(active && active.name === name) && !confirm('Replace the saved view "' + name + '"?')) return;
+
+  const view = Object.assign({ name: name }, current_view_settings());
+  if (index >= 0) views[index] = view;
+  else views.push(view);
+
+  store_saved_views(views);
+  render_saved_views();
+}
+
+function rename_saved_view() {
+  const view = selected_saved_view();
+  if (!view) return;
+
+  const name = (prompt('Rename "' + view.name + '" to:', view.name) || '').trim();
+  if (!name || name === view.name) return;
+
+  const views = load_saved_views().filter(function(v) { return v.name !== view.name; });
+  if (views.some(function(v) { return v.name === name; })) {
+    alert('A saved view named "' + name + '" already exists.');
+    return;
+  }
+
+  views.push(Object.assign({}, view, { name: name }));
+  store_saved_views(views);
+  render_saved_views();
+}
+
+function delete_saved_view() {
+  const view = selected_saved_view();
+  if (!view || !confirm('Delete the saved view "' + view.name + '"?')) return;
+
+  store_saved_views(load_saved_views().filter(function(v) { return v.name !== view.name; }));
+  render_saved_views();
+}
+
+// Writes the settings of the view and reloads the page with its extensions and
+// profiles, keeping any other query parameters.
+function apply_saved_view(view) {
+  const extensions = {};
+  view.extensions.forEach(function(name) { extensions[name] = true; });
+
+  set_selected_extensions(extensions);
+  set_selected_profiles(view.profiles);
+  localStorage.setItem(selectedAttributesStorageKey, view.attributes.join(','));
+  localStorage.setItem(showDeprecatedStorageKey, view.show_deprecated ? 'true' : 'false');
+  localStorage.setItem('schema_compact_view', view.compact_view);
+
+  const params = new URLSearchParams(build_url_params(extensions, view.profiles).substring(1));
+  new URLSearchParams(window.location.search).forEach(function(value, key) {
+    if (key !== 'extensions' && key !== 'profiles') params.set(key, value);
+  });
+  window.location.search = '?' + params.toString();
+}
+
+// ─── Export and import ───────────────────────────────────────────────────────
+
+function export_saved_views() {
+  const views = load_saved_views();
+  if (views.length === 0) return;
+
+  const text = JSON.stringify({ format: SAVED_VIEWS_FORMAT, version: 1, views: views }, null, 2) + '\n';
+  download_file('ocsf-saved-views.json', 'application/json', text);
+}
+
+// Imported views are merged by name; a view with the same name is replaced.
+// A bare array of views is accepted as well.
+function import_saved_views(file) {
+  const reader = new FileReader();
+  reader.onload = function() {
+    let imported;
+    try {
+      const data = JSON.parse(reader.result);
+      imported = (Array.isArray(data) ? data : data.views || []).map(normalize_view).filter(Boolean);
+    } catch (e) {
+      alert('Cannot import saved views: ' + e.message);
+      return;
+    }
+
+    if (imported.length === 0) {
+      alert('The file does not contain any saved views.');
+      return;
+    }
+
+    const names = imported.map(function(v) { return v.name; });
+    const views = load_saved_views().filter(function(v) { return !names.includes(v.name); });
+    store_saved_views(views.concat(imported));
+    render_saved_views();
+    alert('Imported ' + imported.length + (imported.length === 1 ? ' saved view.' : ' saved views.'));
+  };
+  reader.readAsText(file);
+}
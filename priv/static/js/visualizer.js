@@ -52,6 +52,24 @@ const S = {
   classDetails: {},
   objectDetails: {},
   search: '',
+  depth: 1,
+  expanding: false,
+  pathMode: false,
+  pathSource: null,
+  paths: null,
+  inbound: false,
+  whereUsed: null,
+  selected: null,
+  restoring: false,
+  objectModel: null,
+  clusters: false,
+  hideLeaves: false,
+  minDegree: 0,
+  filters: { requirements: new Set(), profiles: new Set(), extensions: new Set() },
+  compare: null,
+  focused: null,
+  keyHub: null,
+  palette: 'theme',
 };
 
 // ─── Scope detection ─────────────────────────────────────────────────────────
@@ -60,19 +78,46 @@ const SCOPE_PARAMS = new URLSearchParams(window.location.search);
 const SCOPE_CLASS = SCOPE_PARAMS.get('class');
 const SCOPE_OBJECT = SCOPE_PARAMS.get('object');
 const SCOPE_CATEGORY = SCOPE_PARAMS.get('category');
+const SCOPE_MODE = SCOPE_CLASS || SCOPE_OBJECT || SCOPE_CATEGORY ? null : SCOPE_PARAMS.get('mode');
+const SCOPE_COMPARE = SCOPE_CLASS ? SCOPE_PARAMS.get('compare') : null;
 
 // ─── Color maps ──────────────────────────────────────────────────────────────
 
-const CAT_COLOR = {
-  1: '#0F1B5C', 2: '#b91c1c', 3: '#7c2d9e',
-  4: '#0E7490', 5: '#166534', 6: '#0F766E',
-  7: '#92400e', 8: '#374151',
-};
-
-const CAT_CLASS_COLOR = {
-  1: '#0891B2', 2: '#ff7b72', 3: '#c084fc',
-  4: '#34d399', 5: '#4ade80', 6: '#14B8A6',
-  7: '#fbbf24', 8: '#94a3b8',
+// Categories with their own category and class fills (--graph-category-<uid>
+// and --graph-class-<uid>); other categories use the -other fills
+const PALETTE_CATEGORY_UIDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Compare mode: attributes and objects of only the scoped class (a) or only
+// the compared class (b). CSS colors, for the detail panel; the graph reads the
+// same variables through graphPalette().
+const COMPARE_COLOR = { a: 'var(--graph-compare-a)', b: 'var(--graph-compare-b)' };
+
+// Graph colors, by the CSS variable that holds them in visualizer.css
+const GRAPH_PALETTE_VARS = {
+  label: '--graph-label',
+  nodeText: '--graph-node-text',
+  objectFill: '--graph-object-fill',
+  objectBorder: '--graph-object-border',
+  objectText: '--graph-object-text',
+  profileFill: '--graph-profile-fill',
+  profileBorder: '--graph-profile-border',
+  profileText: '--graph-profile-text',
+  mutedText: '--graph-muted-text',
+  cluster: '--graph-cluster',
+  clusterText: '--graph-cluster-text',
+  edge: '--graph-edge',
+  extends: '--graph-extends',
+  attr: '--graph-attr',
+  attrText: '--graph-attr-text',
+  deprecated: '--graph-deprecated',
+  cycle: '--graph-cycle',
+  cycleText: '--graph-cycle-text',
+  selection: '--graph-selection',
+  selectionText: '--graph-selection-text',
+  compareA: '--graph-compare-a',
+  compareB: '--graph-compare-b',
+  nodeBorder: '--graph-node-border',
+  nodeBorderWidth: '--graph-node-border-width',
 };
 
 // ─── Normalize API responses ─────────────────────────────────────────────────
@@ -100,26 +145,23 @@ function buildEventEls() {
       id: `cat_${cat.uid}`, label: (cat.caption || cat.name).replace(/ /g, '\n'),
       type: 'category', nodeType: 'category', name: cat.name,
       caption: cat.caption || cat.name, description: cat.description,
-      uid: cat.uid, color: CAT_COLOR[cat.uid] || '#374151',
+      uid: cat.uid, categoryUid: cat.uid,
     }});
   }
 
   for (const cls of S.classes) {
-    const catUid = cls.category_uid || (cls.uid ? Math.floor(cls.uid / 1000) : null);
-    const color = CAT_CLASS_COLOR[catUid] || '#8b949e';
+    const catUid = class_category_uid(cls);
 
     els.push({ data: {
       id: `cls_${cls.name}`, label: (cls.caption || cls.name).replace(/ /g, '\n'),
       type: cls['@deprecated'] ? 'class-deprecated' : 'class',
       nodeType: 'class', name: cls.name,
       extension: cls.extension || null, caption: cls.caption || cls.name,
-      categoryUid: catUid, description: cls.description, color,
+      categoryUid: catUid, description: cls.description,
     }});
 
     const parentCls = cls.extends ? classMap.get(cls.extends) : null;
-    const parentCatUid = parentCls
-      ? (parentCls.category_uid || (parentCls.uid ? Math.floor(parentCls.uid / 1000) : null))
-      : null;
+    const parentCatUid = parentCls ? class_category_uid(parentCls) : null;
     const extendsInSameCat = parentCls && parentCatUid === catUid;
 
     if (extendsInSameCat) {
@@ -174,12 +216,81 @@ function buildObjectEls() {
 
 // ─── Cytoscape styles ────────────────────────────────────────────────────────
 
+// The palette follows the page theme (data-theme, set by setTheme() in app.js,
+// also when the system theme changes), unless high contrast or print is chosen
+// in #palette-select. A system high contrast preference picks high contrast,
+// and printing switches to print colors for the duration.
+
+const PALETTE_STORAGE_KEY = 'ocsf-graph-palette';
+const HIGH_CONTRAST_QUERY = '(prefers-contrast: more), (forced-colors: active)';
+
+function graphPalette() {
+  const css = getComputedStyle(document.getElementById('visualizer-container'));
+  const palette = {};
+  for (const [key, name] of Object.entries(GRAPH_PALETTE_VARS)) {
+    palette[key] = css.getPropertyValue(name).trim() || '#8b949e';
+  }
+  palette.nodeBorderWidth = parseFloat(palette.nodeBorderWidth) || 0;
+
+  // categories and classes: { <uid>: color, other: color }
+  for (const kind of ['category', 'class']) {
+    const fills = palette[kind === 'category' ? 'categories' : 'classes'] = {};
+    for (const uid of PALETTE_CATEGORY_UIDS.concat('other')) {
+      fills[uid] = css.getPropertyValue(`--graph-${kind}-${uid}`).trim() || '#8b949e';
+    }
+  }
+  return palette;
+}
+
+function applyGraphTheme() {
+  const container = document.getElementById('visualizer-container');
+  const palette = S.palette === 'theme' && window.matchMedia(HIGH_CONTRAST_QUERY).matches
+    ? 'high-contrast' : S.palette;
+  if (palette === 'theme') container.removeAttribute('data-palette');
+  else container.setAttribute('data-palette', palette);
+
+  if (!S.cy) return;
+  S.cy.style(buildStyles());
+  scheduleMinimap();
+}
+
+function setGraphPalette(palette) {
+  S.palette = palette;
+  if (palette === 'theme') localStorage.removeItem(PALETTE_STORAGE_KEY);
+  else localStorage.setItem(PALETTE_STORAGE_KEY, palette);
+  applyGraphTheme();
+}
+
+function initGraphTheme() {
+  S.palette = localStorage.getItem(PALETTE_STORAGE_KEY) || 'theme';
+  document.getElementById('palette-select').value = S.palette;
+
+  new MutationObserver(applyGraphTheme)
+    .observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+  window.matchMedia(HIGH_CONTRAST_QUERY).addEventListener('change', applyGraphTheme);
+
+  // The canvas is printed as drawn, so it is redrawn before the dialog opens
+  const container = document.getElementById('visualizer-container');
+  window.addEventListener('beforeprint', () => {
+    container.classList.add('printing');
+    applyGraphTheme();
+    if (S.cy) S.cy.forceRender();
+  });
+  window.addEventListener('afterprint', () => {
+    container.classList.remove('printing');
+    applyGraphTheme();
+  });
+
+  applyGraphTheme();
+}
+
 function buildStyles() {
+  const p = graphPalette();
   return [
     // Base node style
     { selector: 'node', style: {
       label: 'data(label)',
-      color: '#e2e8f0',
+      color: p.label,
       'font-size': 10,
       'font-weight': 500,
       'text-valign': 'center',
@@ -192,95 +303,168 @@ function buildStyles() {
     // Category: solid rounded pill
     { selector: 'node[type="category"]', style: {
       shape: 'round-rectangle', width: 90, height: 34,
-      'background-color': 'data(color)',
-      color: '#fff',
+      'background-color': p.categories.other,
+      'border-width': p.nodeBorderWidth, 'border-color': p.nodeBorder,
+      color: p.nodeText,
       'font-size': 8, 'font-weight': 500,
     }},
 
     // Class: filled circle with white text
     { selector: 'node[type="class"]', style: {
       shape: 'ellipse', width: 64, height: 64,
-      'background-color': 'data(color)',
-      color: '#fff',
+      'background-color': p.classes.other,
+      'border-width': p.nodeBorderWidth, 'border-color': p.nodeBorder,
+      color: p.nodeText,
       'font-size': 9, 'font-weight': 500,
     }},
 
     // Deprecated class: dimmed
     { selector: 'node[type="class-deprecated"]', style: {
       shape: 'ellipse', width: 64, height: 64,
-      'background-color': 'data(color)', 'background-opacity': 0.4,
-      color: '#fff',
+      'background-color': p.classes.other, 'background-opacity': 0.4,
+      color: p.nodeText,
       'font-size': 9, 'font-weight': 500,
-      'border-width': 2, 'border-color': '#d29922', 'border-style': 'dashed',
+      'border-width': 2, 'border-color': p.deprecated, 'border-style': 'dashed',
     }},
 
+    // Category and class fills by category
+    ...PALETTE_CATEGORY_UIDS.flatMap(uid => [
+      { selector: `node[nodeType="category"][categoryUid = ${uid}]`, style: {
+        'background-color': p.categories[uid],
+      }},
+      { selector: `node[nodeType="class"][categoryUid = ${uid}]`, style: {
+        'background-color': p.classes[uid],
+      }},
+    ]),
+
     // Object: rounded rectangle, filled with subtle color
     { selector: 'node[type="object"], node[type="object-root"]', style: {
       shape: 'round-rectangle', width: 80, height: 36,
-      'background-color': '#2d2640',
-      'border-width': 1.5, 'border-color': '#a371f7',
-      color: '#e9d5ff',
+      'background-color': p.objectFill,
+      'border-width': 1.5, 'border-color': p.objectBorder,
+      color: p.objectText,
       'font-size': 9, 'font-weight': 500,
     }},
 
     // Deprecated object: dimmed with dashed border
     { selector: 'node[type="object-deprecated"]', style: {
       shape: 'round-rectangle', width: 80, height: 36,
-      'background-color': '#2d2640', 'background-opacity': 0.4,
-      'border-width': 1.5, 'border-color': '#d29922', 'border-style': 'dashed',
-      color: '#94a3b8',
+      'background-color': p.objectFill, 'background-opacity': 0.4,
+      'border-width': 1.5, 'border-color': p.deprecated, 'border-style': 'dashed',
+      color: p.mutedText,
       'font-size': 9, 'font-weight': 500,
     }},
 
     // Profile object: amber-tinted
     { selector: 'node[type="object-profile"]', style: {
       shape: 'round-rectangle', width: 80, height: 36,
-      'background-color': '#2d2214',
-      'border-width': 1.5, 'border-color': '#f59e0b',
-      color: '#fde68a',
+      'background-color': p.profileFill,
+      'border-width': 1.5, 'border-color': p.profileBorder,
+      color: p.profileText,
       'font-size': 9, 'font-weight': 500,
     }},
 
+    // Objects mode: sized by the number of referencing objects
+    { selector: 'node[width]', style: {
+      width: 'data(width)', height: 'data(height)',
+    }},
+
+    // Extension cluster: compound node around its objects
+    { selector: 'node[type="cluster"]', style: {
+      shape: 'round-rectangle', padding: 16,
+      'background-color': p.cluster, 'background-opacity': 0.06,
+      'border-width': 1, 'border-color': p.cluster, 'border-style': 'dashed',
+      'text-valign': 'top', 'text-halign': 'center',
+      color: p.clusterText, 'font-size': 12, 'font-weight': 600,
+    }},
+
     // Edges
     { selector: 'edge', style: {
       width: 1.5, 'curve-style': 'bezier',
       'target-arrow-shape': 'triangle', 'arrow-scale': 0.5,
-      'line-color': '#475569', 'target-arrow-color': '#475569',
+      'line-color': p.edge, 'target-arrow-color': p.edge,
       opacity: 0.5,
     }},
 
     // Extends: dashed
     { selector: 'edge[type="extends"]', style: {
-      'line-color': '#64748b', 'target-arrow-color': '#64748b',
+      'line-color': p.extends, 'target-arrow-color': p.extends,
       'line-style': 'dashed', 'line-dash-pattern': [6, 4], width: 1,
       opacity: 0.4,
     }},
 
     // has_attr: purple, labeled
     { selector: 'edge[type="has_attr"]', style: {
-      'line-color': '#7c3aed', 'target-arrow-color': '#7c3aed',
+      'line-color': p.attr, 'target-arrow-color': p.attr,
       width: 1.5, opacity: 0.6,
-      label: 'data(label)', 'font-size': 8, color: '#a78bfa',
+      label: 'data(label)', 'font-size': 8, color: p.attrText,
       'text-rotation': 'autorotate', 'text-margin-y': -8,
       'font-family': 'Inter, -apple-system, sans-serif',
     }},
 
     // has_attr_deprecated: yellow/amber dashed, labeled
     { selector: 'edge[type="has_attr_deprecated"]', style: {
-      'line-color': '#d29922', 'target-arrow-color': '#d29922',
+      'line-color': p.deprecated, 'target-arrow-color': p.deprecated,
       'line-style': 'dashed', 'line-dash-pattern': [4, 3],
       width: 1.5, opacity: 0.6,
-      label: 'data(label)', 'font-size': 8, color: '#d29922',
+      label: 'data(label)', 'font-size': 8, color: p.deprecated,
       'text-rotation': 'autorotate', 'text-margin-y': -8,
       'font-family': 'Inter, -apple-system, sans-serif',
     }},
 
-    // Selection: teal highlight
+    // references: object-typed attributes between two objects, unlabeled
+    { selector: 'edge[type="references"]', style: {
+      'line-color': p.attr, 'target-arrow-color': p.attr,
+      width: 1, opacity: 0.35,
+    }},
+
+    // Compare: nodes and attribute edges of only one of the two classes
+    { selector: 'node[compare="a"]', style: {
+      'border-width': 3, 'border-color': p.compareA, 'border-style': 'solid',
+    }},
+    { selector: 'node[compare="b"]', style: {
+      'border-width': 3, 'border-color': p.compareB, 'border-style': 'solid',
+    }},
+    { selector: 'edge[compare="a"]', style: {
+      'line-color': p.compareA, 'target-arrow-color': p.compareA, color: p.compareA,
+      opacity: 0.8,
+    }},
+    { selector: 'edge[compare="b"]', style: {
+      'line-color': p.compareB, 'target-arrow-color': p.compareB, color: p.compareB,
+      opacity: 0.8,
+    }},
+
+    // Expanded object: double border
+    { selector: 'node[?expanded]', style: {
+      'border-width': 3, 'border-style': 'double',
+    }},
+
+    // Attribute edge that closes a cycle: orange dotted
+    { selector: 'edge[?cycle]', style: {
+      'line-color': p.cycle, 'target-arrow-color': p.cycle,
+      'line-style': 'dotted', color: p.cycleText,
+    }},
+
+    // Selection: highlight
     { selector: ':selected', style: {
-      'border-width': 2.5, 'border-color': '#22d3ee',
+      'border-width': 2.5, 'border-color': p.selection,
       'overlay-opacity': 0,
     }},
 
+    // Keyboard focus: halo, so it does not hide selection or path borders
+    { selector: 'node.focused', style: {
+      'overlay-color': p.selection, 'overlay-opacity': 0.25, 'overlay-padding': 6,
+    }},
+
+    // Path finder: highlighted path
+    { selector: 'node.path', style: {
+      'border-width': 3, 'border-color': p.selection, 'border-style': 'solid',
+    }},
+    { selector: 'edge.path', style: {
+      'line-color': p.selection, 'target-arrow-color': p.selection,
+      width: 3, opacity: 1, color: p.selectionText,
+    }},
+
     // Faded/highlight states
     { selector: '.faded', style: { opacity: 0.1 }},
     { selector: '.highlighted', style: { opacity: 1 }},
@@ -301,7 +485,12 @@ function initCy(elements, layoutName) {
     wheelSensitivity: 0.3,
   });
 
-  S.cy.on('tap', 'node', async (e) => { await onNodeClick(e.target); });
+  S.cy.on('tap', 'node', async (e) => {
+    S.focused = e.target.id();
+    S.keyHub = null;
+    S.cy.nodes('.focused').removeClass('focused');
+    await onNodeClick(e.target);
+  });
   S.cy.on('tap', (e) => { if (e.target === S.cy) clearSelection(); });
 }
 
@@ -325,7 +514,12 @@ function layoutOpts(name) {
 // ─── Node interaction ────────────────────────────────────────────────────────
 
 async function onNodeClick(node) {
+  if (S.pathMode) { onPathPick(node); return; }
+
   const { nodeType, name } = node.data();
+  if (nodeType === 'cluster') return;
+  S.selected = node.id();
+  saveViewState();
 
   S.cy.elements().removeClass('faded highlighted');
   const conn = node.closedNeighborhood();
@@ -351,7 +545,7 @@ async function onNodeClick(node) {
         const path = obj && obj.extension ? `/objects/${obj.extension}/${name}` : `/objects/${name}`;
         S.objectDetails[cacheKey] = await apiFetch(path);
       }
-      renderNodeDetail(S.objectDetails[cacheKey], 'object', name);
+      renderNodeDetail(S.objectDetails[cacheKey], 'object', name, node);
     }
   } catch (e) {
     document.getElementById('detail-inner').innerHTML =
@@ -360,35 +554,33 @@ async function onNodeClick(node) {
 }
 
 function clearSelection() {
-  S.cy && S.cy.elements().removeClass('faded highlighted');
+  S.cy && S.cy.elements().removeClass('faded highlighted path');
+  S.selected = null;
+  saveViewState();
   clearDetailPanel();
 }
 
-// Navigate on double-click
+// Navigate on double-click, or Shift+Enter from the keyboard
 function initNodeNavigation() {
-  S.cy.on('dbltap', 'node', function(e) {
-    const d = e.target.data();
-    const scopedName = d.extension ? `${d.extension}/${d.name}` : d.name;
-    if (d.nodeType === 'object' && d.name) {
-      const params = new URLSearchParams(window.location.search);
-      params.delete('class');
-      params.delete('category');
-      params.set('object', scopedName);
-      window.location.search = '?' + params.toString();
-    } else if (d.nodeType === 'class' && d.name) {
-      const params = new URLSearchParams(window.location.search);
-      params.delete('object');
-      params.delete('category');
-      params.set('class', scopedName);
-      window.location.search = '?' + params.toString();
-    } else if (d.nodeType === 'category' && d.name) {
-      const params = new URLSearchParams(window.location.search);
-      params.delete('class');
-      params.delete('object');
-      params.set('category', d.name);
-      window.location.search = '?' + params.toString();
-    }
-  });
+  S.cy.on('dbltap', 'node', (e) => navigateToNode(e.target));
+}
+
+function navigateToNode(node) {
+  const d = node.data();
+  const scopedName = d.extension ? `${d.extension}/${d.name}` : d.name;
+  const params = new URLSearchParams(window.location.search);
+  ['class', 'object', 'category', 'compare', 'mode'].forEach(p => params.delete(p));
+
+  if (d.nodeType === 'object' && d.name) {
+    params.set('object', scopedName);
+  } else if (d.nodeType === 'class' && d.name) {
+    params.set('class', scopedName);
+  } else if (d.nodeType === 'category' && d.name) {
+    params.set('category', d.name);
+  } else {
+    return;
+  }
+  window.location.search = '?' + params.toString();
 }
 
 // ─── Detail panel rendering ──────────────────────────────────────────────────
@@ -401,6 +593,7 @@ function setDetailLoading() {
 }
 
 function clearDetailPanel() {
+  if (S.compare) { renderCompareDetail(); return; }
   document.getElementById('detail-inner').innerHTML = `
     <div class="detail-empty">
       <div class="icon">◈</div>
@@ -411,7 +604,7 @@ function clearDetailPanel() {
 function renderCategoryDetail(node) {
   const { uid, caption, name } = node.data();
   const classes = S.classes.filter(c => {
-    const cu = c.category_uid || (c.uid ? Math.floor(c.uid / 1000) : null);
+    const cu = class_category_uid(c);
     return cu === uid;
   });
 
@@ -434,7 +627,7 @@ function renderCategoryDetail(node) {
     </div>`;
 }
 
-function renderNodeDetail(data, type, nodeName) {
+function renderNodeDetail(data, type, nodeName, node) {
   const attrs = data.attributes || {};
   const groups = { required: [], recommended: [], optional: [] };
 
@@ -455,10 +648,16 @@ function renderNodeDetail(data, type, nodeName) {
   const navHint = !isCurrent
     ? `<p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">Double-click to explore this ${type}</p>`
     : '';
+  const expandAction = node && scopeRootId() && node.id() !== scopeRootId()
+    ? `<button class="detail-action" onclick="toggleExpandNode('${node.id()}')">
+        ${node.data('expanded') ? 'Collapse' : 'Expand in place'}
+      </button>`
+    : '';
 
   document.getElementById('detail-inner').innerHTML = `
     <div class="detail-content">
       ${navHint}
+      ${expandAction}
       ${attrSection('required', groups.required, 'Required')}
       ${attrSection('recommended', groups.recommended, 'Recommended')}
       ${attrSection('optional', groups.optional, 'Optional')}
@@ -514,12 +713,14 @@ function fitGraph() {
 
 function relayout(name) {
   if (!S.cy) return;
-  S.cy.layout({ ...layoutOpts(name), animate: true, animationDuration: 400 }).run();
+  S.cy.elements(':visible').layout({ ...layoutOpts(name), animate: true, animationDuration: 400 }).run();
+  saveViewState();
 }
 
 function onSearch(q) {
   if (!S.cy) return;
   S.search = q;
+  saveViewState();
   q = q.toLowerCase().trim();
   if (!q) { S.cy.elements().removeClass('faded highlighted'); return; }
   S.cy.elements().addClass('faded');
@@ -532,11 +733,218 @@ function onSearch(q) {
   matched.connectedEdges().connectedNodes().removeClass('faded');
 }
 
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+function exportBaseName() {
+  const scope = SCOPE_COMPARE
+    ? `${SCOPE_CLASS}-vs-${SCOPE_COMPARE}`
+    : SCOPE_CLASS || SCOPE_OBJECT || SCOPE_CATEGORY || SCOPE_MODE || 'schema';
+  return `ocsf-${scope.replace(/\//g, '-')}`;
+}
+
+function xmlEscape(v) {
+  return String(v == null ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// Node and edge data as flat key/value pairs; arrays are comma separated and
+// nested objects are skipped.
+function exportData(ele) {
+  const out = {};
+  for (const [k, v] of Object.entries(ele.data())) {
+    if (v == null || (typeof v === 'object' && !Array.isArray(v))) continue;
+    out[k] = Array.isArray(v) ? v.join(',') : v;
+  }
+  return out;
+}
+
+function graphBackground() {
+  return getComputedStyle(document.getElementById('cy')).backgroundColor || '#ffffff';
+}
+
+function exportPng() {
+  const blob = S.cy.png({ output: 'blob', full: true, scale: 2, bg: graphBackground() });
+  download_file(`${exportBaseName()}.png`, 'image/png', blob);
+}
+
+function svgLabel(lines, x, y, style) {
+  const size = parseFloat(style.size) || 10;
+  const top = y - ((lines.length - 1) * size * 1.2) / 2;
+  return `<text x="${x}" y="${top}" fill="${style.color}" font-size="${size}" ` +
+    `font-family="${xmlEscape(style.family)}" font-weight="${style.weight}" ` +
+    `text-anchor="middle" dominant-baseline="central">` +
+    lines.map((l, i) => `<tspan x="${x}" dy="${i ? size * 1.2 : 0}">${xmlEscape(l)}</tspan>`).join('') +
+    '</text>';
+}
+
+function svgDash(style, width) {
+  if (style === 'dashed') return ` stroke-dasharray="${width * 4} ${width * 3}"`;
+  if (style === 'dotted') return ` stroke-dasharray="${width} ${width * 2}"`;
+  return '';
+}
+
+function svgEdge(e) {
+  const s = e.sourceEndpoint();
+  const t = e.targetEndpoint();
+  const cps = e.controlPoints() || [];
+  const color = e.style('line-color');
+  const width = parseFloat(e.style('width'));
+  const opacity = parseFloat(e.style('opacity'));
+
+  let d = `M${s.x},${s.y} L${t.x},${t.y}`;
+  if (cps.length === 1) d = `M${s.x},${s.y} Q${cps[0].x},${cps[0].y} ${t.x},${t.y}`;
+  else if (cps.length >= 2) d = `M${s.x},${s.y} C${cps[0].x},${cps[0].y} ${cps[1].x},${cps[1].y} ${t.x},${t.y}`;
+
+  // Arrow head pointing along the last segment
+  const from = cps.length ? cps[cps.length - 1] : s;
+  const angle = Math.atan2(t.y - from.y, t.x - from.x);
+  const size = 6 * parseFloat(e.style('arrow-scale') || 1) + width * 2;
+  const bx = t.x - size * Math.cos(angle);
+  const by = t.y - size * Math.sin(angle);
+  const px = Math.sin(angle) * size / 2;
+  const py = -Math.cos(angle) * size / 2;
+  const arrow = `${t.x},${t.y} ${bx + px},${by + py} ${bx - px},${by - py}`;
+
+  let out = `<g opacity="${opacity}">` +
+    `<path d="${d}" fill="none" stroke="${color}" stroke-width="${width}"${svgDash(e.style('line-style'), width)}/>` +
+    `<polygon points="${arrow}" fill="${e.style('target-arrow-color')}"/>`;
+
+  const label = e.style('label');
+  if (label) {
+    const mid = e.midpoint();
+    out += svgLabel([label], mid.x, mid.y - 8, {
+      size: e.style('font-size'), color: e.style('color'),
+      family: e.style('font-family'), weight: e.style('font-weight'),
+    });
+  }
+  return out + '</g>';
+}
+
+function svgNode(n) {
+  const { x, y } = n.position();
+  const w = n.width();
+  const h = n.height();
+  const border = parseFloat(n.style('border-width')) || 0;
+  const paint = `fill="${n.style('background-color')}" fill-opacity="${n.style('background-opacity')}" ` +
+    (border ? `stroke="${n.style('border-color')}" stroke-width="${border}"${svgDash(n.style('border-style'), border)}` : '');
+
+  const shape = n.style('shape') === 'ellipse'
+    ? `<ellipse cx="${x}" cy="${y}" rx="${w / 2}" ry="${h / 2}" ${paint}/>`
+    : `<rect x="${x - w / 2}" y="${y - h / 2}" width="${w}" height="${h}" rx="${Math.min(w, h) / 4}" ${paint}/>`;
+
+  const label = n.style('label') || '';
+  return `<g opacity="${n.effectiveOpacity()}">` + shape +
+    svgLabel(label.split('\n'), x, y, {
+      size: n.style('font-size'), color: n.style('color'),
+      family: n.style('font-family'), weight: n.style('font-weight'),
+    }) + '</g>';
+}
+
+// Draws the visible elements with their computed styles, so the current
+// classes (faded, highlighted, selected) are kept.
+function exportSvg() {
+  const eles = S.cy.elements(':visible');
+  const bb = eles.boundingBox({ includeLabels: true });
+  const pad = 20;
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${bb.w + pad * 2}" height="${bb.h + pad * 2}" ` +
+      `viewBox="${bb.x1 - pad} ${bb.y1 - pad} ${bb.w + pad * 2} ${bb.h + pad * 2}">`,
+    `<rect x="${bb.x1 - pad}" y="${bb.y1 - pad}" width="${bb.w + pad * 2}" height="${bb.h + pad * 2}" fill="${graphBackground()}"/>`,
+    ...eles.edges().map(svgEdge),
+    ...eles.nodes().map(svgNode),
+    '</svg>',
+  ];
+  download_file(`${exportBaseName()}.svg`, 'image/svg+xml', svg.join('\n'));
+}
+
+function exportGraphml() {
+  const eles = S.cy.elements(':visible');
+  const keys = { node: new Map(), edge: new Map() };
+
+  const collect = (group, list) => list.forEach(ele => {
+    for (const [k, v] of Object.entries(exportData(ele))) {
+      if (k === 'id' || k === 'source' || k === 'target') continue;
+      const type = typeof v === 'number' ? 'double' : typeof v === 'boolean' ? 'boolean' : 'string';
+      if (!keys[group].has(k)) keys[group].set(k, type);
+    }
+  });
+  collect('node', eles.nodes());
+  collect('edge', eles.edges());
+
+  const dataXml = (group, ele) => Object.entries(exportData(ele))
+    .filter(([k]) => keys[group].has(k))
+    .map(([k, v]) => `      <data key="${group}_${xmlEscape(k)}">${xmlEscape(v)}</data>`)
+    .join('\n');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...['node', 'edge'].flatMap(group => Array.from(keys[group]).map(([k, type]) =>
+      `  <key id="${group}_${xmlEscape(k)}" for="${group}" attr.name="${xmlEscape(k)}" attr.type="${type}"/>`)),
+    `  <graph id="${xmlEscape(exportBaseName())}" edgedefault="directed">`,
+    ...eles.nodes().map(n => `    <node id="${xmlEscape(n.id())}">\n${dataXml('node', n)}\n    </node>`),
+    ...eles.edges().map(e =>
+      `    <edge id="${xmlEscape(e.id())}" source="${xmlEscape(e.data('source'))}" target="${xmlEscape(e.data('target'))}">\n` +
+      `${dataXml('edge', e)}\n    </edge>`),
+    '  </graph>',
+    '</graphml>',
+  ];
+  download_file(`${exportBaseName()}.graphml`, 'application/graphml+xml', xml.join('\n'));
+}
+
+function dotId(v) {
+  return `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function dotAttrs(ele) {
+  return Object.entries(exportData(ele))
+    .filter(([k]) => k !== 'id' && k !== 'source' && k !== 'target')
+    .map(([k, v]) => `${dotId(k)}=${dotId(v)}`)
+    .join(', ');
+}
+
+function exportDot() {
+  const eles = S.cy.elements(':visible');
+  const dot = [
+    `digraph ${dotId(exportBaseName())} {`,
+    '  node [shape=box, style=rounded];',
+    ...eles.nodes().map(n => `  ${dotId(n.id())} [${dotAttrs(n)}];`),
+    ...eles.edges().map(e => `  ${dotId(e.data('source'))} -> ${dotId(e.data('target'))} [${dotAttrs(e)}];`),
+    '}',
+  ];
+  download_file(`${exportBaseName()}.dot`, 'text/vnd.graphviz', dot.join('\n'));
+}
+
+// Same shape as cy.json(), so the file can be loaded back with cytoscape().
+function exportCyJson() {
+  const eles = S.cy.elements(':visible');
+  const json = {
+    elements: { nodes: eles.nodes().jsons(), edges: eles.edges().jsons() },
+    zoom: S.cy.zoom(),
+    pan: S.cy.pan(),
+  };
+  download_file(`${exportBaseName()}.cyjs`, 'application/json', JSON.stringify(json, null, 2));
+}
+
+function exportGraph(format) {
+  if (!S.cy || !format) return;
+  const exporters = {
+    png: exportPng, svg: exportSvg, graphml: exportGraphml, dot: exportDot, json: exportCyJson,
+  };
+  try {
+    exporters[format]();
+  } catch (e) {
+    setStatus(`Export failed: ${e.message}`);
+  }
+}
+
 function togglePanel() {
   const panel = document.getElementById('detail-panel');
   panel.classList.toggle('collapsed');
   const btn = document.getElementById('panel-toggle');
   btn.textContent = panel.classList.contains('collapsed') ? '«' : '»';
+  saveViewState();
 }
 
 function setStatus(t) {
@@ -556,7 +964,7 @@ async function buildScopedClassGraph(className) {
   function addEdge(id, src, tgt, data) { if (!addedIds.has(id)) { addedIds.add(id); els.push({ data: { id, source: src, target: tgt, ...data } }); } }
 
   const cls = S.classes.find(c => c.name === className);
-  const catUid = cls ? (cls.category_uid || (cls.uid ? Math.floor(cls.uid / 1000) : null)) : null;
+  const catUid = cls ? class_category_uid(cls) : null;
 
   // Center class node
   addNode(`cls_${className}`, {
@@ -564,7 +972,7 @@ async function buildScopedClassGraph(className) {
     type: 'class', nodeType: 'class', name: className,
     caption: clsDetail.caption || className,
     description: clsDetail.description,
-    color: CAT_CLASS_COLOR[catUid] || '#8b949e',
+    categoryUid: catUid,
   });
 
   // Parent category
@@ -575,7 +983,7 @@ async function buildScopedClassGraph(className) {
         label: (cat.caption || cat.name).replace(/ /g, '\n'),
         type: 'category', nodeType: 'category', name: cat.name,
         caption: cat.caption || cat.name, uid: catUid,
-        color: CAT_COLOR[catUid] || '#374151',
+        categoryUid: catUid,
       });
       addEdge(`e_cc_${className}`, `cat_${catUid}`, `cls_${className}`, { type: 'contains' });
 
@@ -586,12 +994,12 @@ async function buildScopedClassGraph(className) {
   if (clsDetail.extends && clsDetail.extends !== 'base_event') {
     const parentCls = S.classes.find(c => c.name === clsDetail.extends);
     if (parentCls) {
-      const pCatUid = parentCls.category_uid || (parentCls.uid ? Math.floor(parentCls.uid / 1000) : null);
+      const pCatUid = class_category_uid(parentCls);
       addNode(`cls_${parentCls.name}`, {
         label: (parentCls.caption || parentCls.name).replace(/ /g, '\n'),
         type: 'class', nodeType: 'class', name: parentCls.name,
         caption: parentCls.caption || parentCls.name,
-        color: CAT_CLASS_COLOR[pCatUid] || '#8b949e',
+        categoryUid: pCatUid,
       });
       addEdge(`e_ext_${className}`, `cls_${parentCls.name}`, `cls_${className}`, { type: 'extends' });
     }
@@ -624,6 +1032,7 @@ async function buildScopedClassGraph(className) {
         addEdge(`e_attr_${className}_${key}`, `cls_${className}`, `obj_${objName}`, {
           type: edgeDeprecated ? 'has_attr_deprecated' : 'has_attr',
           label: key, requirement: attr.requirement || 'optional',
+          profiles: attr.profiles || [],
         });
       }
     }
@@ -703,6 +1112,7 @@ async function buildScopedObjectGraph(objectName) {
         addEdge(`e_attr_${objectName}_${key}`, `obj_${objectName}`, `obj_${childName}`, {
           type: edgeDeprecated ? 'has_attr_deprecated' : 'has_attr',
           label: key, requirement: attr.requirement || 'optional',
+          profiles: attr.profiles || [],
         });
       }
     }
@@ -726,13 +1136,13 @@ async function buildScopedCategoryGraph(categoryName) {
     label: (cat.caption || cat.name).replace(/ /g, '\n'),
     type: 'category', nodeType: 'category', name: cat.name,
     caption: cat.caption || cat.name, uid: cat.uid,
-    color: CAT_COLOR[cat.uid] || '#374151',
+    categoryUid: cat.uid,
   });
 
   // All classes in this category
   const classMap = new Map(S.classes.map(c => [c.name, c]));
   const catClasses = S.classes.filter(c => {
-    const cu = c.category_uid || (c.uid ? Math.floor(c.uid / 1000) : null);
+    const cu = class_category_uid(c);
     return cu === cat.uid;
   });
 
@@ -741,14 +1151,12 @@ async function buildScopedCategoryGraph(categoryName) {
       label: (cls.caption || cls.name).replace(/ /g, '\n'),
       type: 'class', nodeType: 'class', name: cls.name,
       caption: cls.caption || cls.name,
-      color: CAT_CLASS_COLOR[cat.uid] || '#8b949e',
+      categoryUid: cat.uid,
     });
 
     // Check if class extends another class in the same category
     const parentCls = cls.extends ? classMap.get(cls.extends) : null;
-    const parentCatUid = parentCls
-      ? (parentCls.category_uid || (parentCls.uid ? Math.floor(parentCls.uid / 1000) : null))
-      : null;
+    const parentCatUid = parentCls ? class_category_uid(parentCls) : null;
 
     if (parentCls && parentCatUid === cat.uid) {
       addEdge(`e_ext_${cls.name}`, `cls_${cls.extends}`, `cls_${cls.name}`, { type: 'extends' });
@@ -760,6 +1168,1372 @@ async function buildScopedCategoryGraph(categoryName) {
   return els;
 }
 
+// ─── Multi-hop expansion ─────────────────────────────────────────────────────
+
+// Nodes added by expansion carry `expansion: true` and their hop distance from
+// the scoped class or object; nodes built by the scoped builders are hop 1.
+
+const MAX_DEPTH = 6;
+
+function scopeRootId() {
+  if (SCOPE_CLASS) return `cls_${SCOPE_CLASS}`;
+  if (SCOPE_OBJECT) return `obj_${SCOPE_OBJECT}`;
+  return null;
+}
+
+function compareRootId() {
+  return SCOPE_COMPARE ? `cls_${SCOPE_COMPARE}` : null;
+}
+
+// The scoped node, and the compared class in compare mode
+function scopeRoots() {
+  return S.cy.nodes().filter(n => n.id() === scopeRootId() || n.id() === compareRootId());
+}
+
+function nodeHop(node) {
+  if (node.id() === scopeRootId() || node.id() === compareRootId()) return 0;
+  return node.data('hop') || 1;
+}
+
+async function fetchObjectDetail(name) {
+  if (!S.objectDetails[name]) {
+    S.objectDetails[name] = await apiFetch(`/objects/${name}`);
+  }
+  return S.objectDetails[name];
+}
+
+function objectNodeData(objName, attr) {
+  const objDef = S.objects.find(o => o.name === objName);
+  const fromProfile = attr.profiles && attr.profiles.length > 0;
+  let type = 'object';
+  if (objDef && objDef['@deprecated']) type = 'object-deprecated';
+  else if (fromProfile) type = 'object-profile';
+  return {
+    label: objName.replace(/_/g, '\n'),
+    type, nodeType: 'object', name: objName,
+    caption: objName,
+    fromProfile, profiles: attr.profiles || [],
+  };
+}
+
+// Adds the object-typed attributes of `node` as nodes and edges. Objects that
+// are already in the graph are reused, so shared objects appear only once.
+// Returns the newly added nodes.
+async function expandObjectNode(node) {
+  const name = node.data('name');
+  const detail = await fetchObjectDetail(name);
+  const hop = nodeHop(node) + 1;
+  const sourceId = node.id();
+  const added = [];
+
+  S.cy.batch(() => {
+    for (const [key, attr] of Object.entries(detail.attributes || {})) {
+      if (!attr.object_type) continue;
+
+      const targetId = `obj_${attr.object_type}`;
+      let target = S.cy.getElementById(targetId);
+      if (!target.length) {
+        const pos = node.position();
+        target = S.cy.add({
+          group: 'nodes',
+          data: { id: targetId, ...objectNodeData(attr.object_type, attr), hop, expansion: true },
+          position: { x: pos.x + (Math.random() - 0.5) * 120, y: pos.y + (Math.random() - 0.5) * 120 },
+        });
+        added.push(target);
+      }
+
+      const edgeId = `e_attr_${name}_${key}`;
+      if (!S.cy.getElementById(edgeId).length) {
+        S.cy.add({ group: 'edges', data: {
+          id: edgeId, source: sourceId, target: targetId,
+          type: attr['@deprecated'] ? 'has_attr_deprecated' : 'has_attr',
+          label: key, requirement: attr.requirement || 'optional',
+          profiles: attr.profiles || [],
+          expansion: true,
+        }});
+      }
+    }
+    node.data('expanded', true);
+  });
+
+  return added;
+}
+
+// Removes everything that was added by expanding `node` and is no longer
+// reachable from the nodes of the initial graph.
+function collapseObjectNode(node) {
+  S.cy.batch(() => {
+    node.outgoers('edge[?expansion]').remove();
+    node.data('expanded', false);
+
+    const base = S.cy.nodes('[!expansion]');
+    const reachable = base.union(base.successors('node'));
+    S.cy.nodes('[?expansion]').not(reachable).remove();
+  });
+}
+
+function attrEdges(node) {
+  return node.outgoers('edge[type^="has_attr"]');
+}
+
+function reachesNode(from, to) {
+  const seen = new Set([from.id()]);
+  const queue = [from];
+  while (queue.length) {
+    for (const next of attrEdges(queue.shift()).targets().toArray()) {
+      if (next.same(to)) return true;
+      if (!seen.has(next.id())) { seen.add(next.id()); queue.push(next); }
+    }
+  }
+  return false;
+}
+
+// An attribute edge closes a cycle when its source can be reached again from
+// its target, e.g. process.parent_process.
+function markCycles() {
+  S.cy.batch(() => {
+    S.cy.edges('[type^="has_attr"]').forEach(e => {
+      e.data('cycle', e.source().same(e.target()) || reachesNode(e.target(), e.source()));
+    });
+  });
+}
+
+async function toggleExpandNode(id) {
+  const node = S.cy && S.cy.getElementById(id);
+  if (!node || !node.length || node.data('nodeType') !== 'object' || S.expanding) return;
+
+  S.expanding = true;
+  try {
+    if (node.data('expanded')) {
+      collapseObjectNode(node);
+    } else {
+      setStatus(`Expanding ${node.data('name')}…`);
+      await expandObjectNode(node);
+    }
+    afterExpansion();
+  } catch (e) {
+    setStatus(e.message);
+  } finally {
+    S.expanding = false;
+  }
+  onNodeClick(node);
+}
+
+// Expands every object reachable from the scoped class or object up to
+// `depth` hops; depth 1 is the graph of direct neighbors.
+async function expandToDepth(depth) {
+  const roots = S.cy && scopeRoots();
+  if (!roots || !roots.length || S.expanding) return;
+
+  S.expanding = true;
+  S.depth = depth;
+  document.getElementById('depth-value').textContent = depth;
+
+  try {
+    S.cy.batch(() => {
+      S.cy.elements('[?expansion]').remove();
+      S.cy.nodes('[?expanded]').data('expanded', false);
+    });
+
+    let frontier = attrEdges(roots).targets().not(roots);
+    for (let hop = 1; hop < depth && frontier.length; hop++) {
+      setStatus(`Expanding depth ${hop + 1}/${depth}…`);
+      await Promise.all(frontier.map(n => fetchObjectDetail(n.data('name'))));
+      const next = [];
+      for (const node of frontier.toArray()) {
+        next.push(...await expandObjectNode(node));
+      }
+      frontier = S.cy.collection(next);
+    }
+    afterExpansion();
+  } catch (e) {
+    setStatus(e.message);
+  } finally {
+    S.expanding = false;
+  }
+}
+
+function afterExpansion() {
+  saveViewState();
+  markCycles();
+  applyFilters();
+  // While restoring, the layout runs once after all expansions
+  if (!S.restoring) relayout(document.getElementById('layout-select').value);
+
+  const objects = S.cy.nodes('[nodeType="object"]').length;
+  const cycles = S.cy.edges('[?cycle]').length;
+  setStatus(`${objects} objects · depth ${S.depth}` + (cycles ? ` · ${cycles} cycles` : ''));
+}
+
+function initDepthControl() {
+  const control = document.getElementById('depth-control');
+  if (!control) return;
+  if (!scopeRootId()) { control.style.display = 'none'; return; }
+
+  const range = document.getElementById('depth-range');
+  range.max = MAX_DEPTH;
+  range.addEventListener('input', () => {
+    document.getElementById('depth-value').textContent = range.value;
+  });
+  range.addEventListener('change', () => expandToDepth(Number(range.value)));
+
+  S.cy.on('cxttap', 'node[nodeType="object"]', (e) => toggleExpandNode(e.target.id()));
+}
+
+// ─── Path finder ─────────────────────────────────────────────────────────────
+
+// In path mode the first tapped node is the source and the second the target;
+// the target can also be any object typed into #path-target. The attribute
+// graph is walked breadth-first, fetching object details only as needed.
+
+const MAX_PATH_DEPTH = 8;
+const MAX_PATHS = 50;
+
+async function fetchClassDetail(name, ext) {
+  const cacheKey = ext ? `${ext}/${name}` : name;
+  if (!S.classDetails[cacheKey]) {
+    S.classDetails[cacheKey] = await apiFetch(`/classes/${cacheKey}`);
+  }
+  return S.classDetails[cacheKey];
+}
+
+function togglePathMode() {
+  S.pathMode = !S.pathMode;
+  S.pathSource = null;
+  document.getElementById('btn-path').classList.toggle('active', S.pathMode);
+  document.getElementById('path-control').style.display = S.pathMode ? '' : 'none';
+
+  if (S.pathMode) {
+    const list = document.getElementById('path-targets');
+    if (!list.options.length) {
+      list.innerHTML = S.objects.map(o => `<option value="${o.extension ? `${o.extension}/${o.name}` : o.name}">`).join('');
+    }
+    setStatus('Path mode: click the source node');
+  } else {
+    clearSelection();
+    setStatus('');
+  }
+}
+
+function onPathPick(node) {
+  const nodeType = node.data('nodeType');
+  if (!S.pathSource) {
+    if (nodeType !== 'class' && nodeType !== 'object') return;
+    S.pathSource = node;
+    S.cy.elements().removeClass('faded highlighted path');
+    node.addClass('path');
+    setStatus(`Path from ${node.data('name')}: click the target object or type its name`);
+  } else if (nodeType === 'object') {
+    findPaths(S.pathSource, node.data('name'));
+  }
+}
+
+function onPathTarget(value) {
+  const name = value.trim();
+  if (!name) return;
+  if (!S.pathSource) { setStatus('Path mode: click the source node first'); return; }
+  findPaths(S.pathSource, name);
+}
+
+// Returns every shortest path from the source to the target object as a list
+// of steps { from, key, to }, where `from` is the source name or an object name.
+async function shortestAttributePaths(source, target) {
+  const sourceKey = `${source.data('nodeType')}:${source.data('name')}`;
+  if (sourceKey === `object:${target}`) return [];
+  const preds = new Map([[sourceKey, []]]);
+  let level = [sourceKey];
+
+  for (let depth = 0; depth < MAX_PATH_DEPTH && level.length && !preds.has(`object:${target}`); depth++) {
+    setStatus(`Searching depth ${depth + 1}…`);
+    const details = await Promise.all(level.map(key => {
+      const [kind, name] = key.split(/:(.*)/);
+      return kind === 'class'
+        ? fetchClassDetail(name, source.data('extension'))
+        : fetchObjectDetail(name);
+    }));
+
+    const next = new Map();
+    level.forEach((key, i) => {
+      for (const [attrName, attr] of Object.entries(details[i].attributes || {})) {
+        if (!attr.object_type) continue;
+        const to = `object:${attr.object_type}`;
+        if (preds.has(to)) continue;
+        if (!next.has(to)) next.set(to, []);
+        next.get(to).push({ from: key, key: attrName, attr });
+      }
+    });
+
+    for (const [key, list] of next) preds.set(key, list);
+    level = Array.from(next.keys());
+  }
+
+  const paths = [];
+  function walk(key, suffix) {
+    if (paths.length >= MAX_PATHS) return;
+    const list = preds.get(key);
+    if (!list.length) { paths.push(suffix); return; }
+    for (const p of list) {
+      walk(p.from, [{ from: p.from.split(/:(.*)/)[1], key: p.key, to: key.split(/:(.*)/)[1], attr: p.attr }, ...suffix]);
+    }
+  }
+  if (preds.has(`object:${target}`)) walk(`object:${target}`, []);
+  return paths;
+}
+
+// Adds the nodes and has_attr edges of the paths that are not in the graph yet
+// and returns the path elements.
+function addPathElements(source, paths) {
+  let eles = S.cy.collection().union(source);
+
+  S.cy.batch(() => {
+    for (const path of paths) {
+      let prev = source;
+      path.forEach((step, i) => {
+        const targetId = `obj_${step.to}`;
+        let node = S.cy.getElementById(targetId);
+        if (!node.length) {
+          const pos = prev.position();
+          node = S.cy.add({
+            group: 'nodes',
+            data: { id: targetId, ...objectNodeData(step.to, step.attr), hop: nodeHop(source) + i + 1, expansion: true },
+            position: { x: pos.x + 80, y: pos.y + (Math.random() - 0.5) * 80 },
+          });
+        }
+
+        const edgeId = `e_attr_${step.from}_${step.key}`;
+        let edge = S.cy.getElementById(edgeId);
+        if (!edge.length) {
+          edge = S.cy.add({ group: 'edges', data: {
+            id: edgeId, source: prev.id(), target: targetId,
+            type: step.attr['@deprecated'] ? 'has_attr_deprecated' : 'has_attr',
+            label: step.key, requirement: step.attr.requirement || 'optional',
+            profiles: step.attr.profiles || [],
+            expansion: true,
+          }});
+        }
+
+        eles = eles.union(node).union(edge);
+        prev = node;
+      });
+    }
+  });
+
+  return eles;
+}
+
+function dottedPath(source, path) {
+  return [source.data('name'), ...path.map(step => step.key)].join('.');
+}
+
+async function findPaths(source, target) {
+  if (source.data('nodeType') === 'object' && source.data('name') === target) {
+    setStatus(`${target} is both the source and the target`);
+    source.removeClass('path');
+    S.pathSource = null;
+    return;
+  }
+
+  S.cy.elements().removeClass('faded highlighted path');
+  setDetailLoading();
+
+  let paths;
+  try {
+    paths = await shortestAttributePaths(source, target);
+  } catch (e) {
+    setStatus(e.message);
+    clearDetailPanel();
+    return;
+  }
+
+  S.paths = { source, target, list: paths, eles: paths.map(p => addPathElements(source, [p])) };
+  if (paths.length) {
+    markCycles();
+    applyFilters();
+    relayout(document.getElementById('layout-select').value);
+  }
+  highlightPath(null);
+  renderPathDetail();
+  setStatus(paths.length
+    ? `${paths.length} shortest path${paths.length > 1 ? 's' : ''} of length ${paths[0].length}`
+    : `No path from ${source.data('name')} to ${target} within ${MAX_PATH_DEPTH} hops`);
+  S.pathSource = null;
+}
+
+// Highlights one path, or all of them when index is null.
+function highlightPath(index) {
+  if (!S.paths || !S.paths.list.length) return;
+  const eles = index === null
+    ? S.paths.eles.reduce((all, e) => all.union(e), S.cy.collection())
+    : S.paths.eles[index];
+  S.cy.elements().removeClass('faded highlighted path');
+  S.cy.elements().not(eles).addClass('faded');
+  eles.addClass('path');
+
+  document.querySelectorAll('#detail-inner .path-item').forEach((el, i) => {
+    el.classList.toggle('active', i === index);
+  });
+}
+
+function renderPathDetail() {
+  const { source, target, list } = S.paths;
+  document.getElementById('detail-inner').innerHTML = `
+    <div class="detail-content">
+      <div class="detail-header">
+        <span class="type-badge ${source.data('nodeType')}">Path</span>
+        <h2>${source.data('name')} → ${target}</h2>
+        <div class="detail-meta">${list.length ? `${list.length} shortest path${list.length > 1 ? 's' : ''}` : 'No path found'}${list.length >= MAX_PATHS ? ` (first ${MAX_PATHS})` : ''}</div>
+      </div>
+      <div class="attr-list">
+        ${list.map((path, i) => `
+          <div class="attr-item optional class-link path-item" onclick="highlightPath(${i})">
+            <div class="attr-name">${dottedPath(source, path)}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>`;
+}
+
+// ─── Where used ──────────────────────────────────────────────────────────────
+
+// Inbound mode adds the classes and objects that reference the scoped object
+// (see where_used.js), with classes attached to their categories. Everything
+// it adds carries `inbound: true`.
+
+function splitScopedName(scoped) {
+  const i = scoped.indexOf('/');
+  return i < 0 ? { extension: null, name: scoped } : { extension: scoped.slice(0, i), name: scoped.slice(i + 1) };
+}
+
+function addInboundElements(groups) {
+  const rootId = scopeRootId();
+
+  function add(group, data) {
+    if (!S.cy.getElementById(data.id).length) S.cy.add({ group, data: { ...data, inbound: true } });
+  }
+
+  S.cy.batch(() => {
+    for (const group of groups) {
+      const cat = group.group ? S.categories.find(c => c.name === group.group) : null;
+      if (cat) {
+        add('nodes', {
+          id: `cat_${cat.uid}`, label: (cat.caption || cat.name).replace(/ /g, '\n'),
+          type: 'category', nodeType: 'category', name: cat.name,
+          caption: cat.caption || cat.name, uid: cat.uid,
+          categoryUid: cat.uid,
+        });
+      }
+
+      for (const ref of group.references) {
+        let id;
+        if (ref.kind === 'class') {
+          const { extension, name } = splitScopedName(ref.name);
+          id = `cls_${name}`;
+          add('nodes', {
+            id, label: ref.caption.replace(/ /g, '\n'),
+            type: ref.deprecated ? 'class-deprecated' : 'class',
+            nodeType: 'class', name, extension, caption: ref.caption,
+            categoryUid: cat ? cat.uid : null,
+          });
+          if (cat) add('edges', { id: `e_cc_${name}`, source: `cat_${cat.uid}`, target: id, type: 'contains' });
+        } else {
+          id = `obj_${ref.name}`;
+          const data = objectNodeData(ref.name, {});
+          add('nodes', { id, ...data, type: ref.deprecated ? 'object-deprecated' : data.type });
+        }
+
+        for (const key of ref.attributes) {
+          add('edges', {
+            id: `e_attr_${ref.name}_${key}`, source: id, target: rootId,
+            type: 'has_attr', label: key, requirement: ref.requirements[key],
+          });
+        }
+      }
+    }
+  });
+}
+
+async function toggleInboundMode() {
+  if (!S.cy || !SCOPE_OBJECT) return;
+  S.inbound = !S.inbound;
+  document.getElementById('btn-inbound').classList.toggle('active', S.inbound);
+
+  if (!S.inbound) {
+    S.cy.elements('[?inbound]').remove();
+    clearSelection();
+    afterExpansion();
+    return;
+  }
+
+  setStatus('Loading references…');
+  try {
+    S.whereUsed = await where_used(SCOPE_OBJECT);
+  } catch (e) {
+    S.inbound = false;
+    document.getElementById('btn-inbound').classList.remove('active');
+    setStatus(e.message);
+    return;
+  }
+
+  addInboundElements(S.whereUsed);
+  afterExpansion();
+  setStatus(`Used by ${where_used_summary(S.whereUsed)}`);
+  renderWhereUsedDetail();
+}
+
+function renderWhereUsedDetail() {
+  const groups = S.whereUsed || [];
+  document.getElementById('detail-inner').innerHTML = `
+    <div class="detail-content">
+      <div class="detail-header">
+        <span class="type-badge object">Used by</span>
+        <h2>${SCOPE_OBJECT}</h2>
+        <div class="detail-meta">${where_used_summary(groups)}</div>
+      </div>
+      ${groups.map(group => `
+        <div class="attr-section">
+          <div class="attr-section-header" onclick="this.parentElement.classList.toggle('collapsed')">
+            <h3>${group.caption}</h3>
+            <span class="attr-count">${group.references.length}</span>
+            <span class="chevron">▾</span>
+          </div>
+          <div class="attr-list">
+            ${group.references.map(ref => {
+              const id = ref.kind === 'class' ? `cls_${splitScopedName(ref.name).name}` : `obj_${ref.name}`;
+              return `
+                <div class="attr-item optional class-link${ref.deprecated ? ' is-deprecated' : ''}" onclick="focusNode('${id}')">
+                  <div class="attr-name">
+                    ${ref.caption}
+                    ${ref.attributes.map(a => `<span class="attr-type">${a}</span>`).join('')}
+                  </div>
+                </div>`;
+            }).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>`;
+}
+
+function initInboundControl() {
+  const btn = document.getElementById('btn-inbound');
+  if (btn && !SCOPE_OBJECT) btn.style.display = 'none';
+}
+
+// ─── Compare ─────────────────────────────────────────────────────────────────
+
+// ?class=a&compare=b merges the scoped graphs of both classes. Objects used by
+// both appear once; nodes and attribute edges of only one class are colored
+// by side (COMPARE_COLOR), and the detail panel lists the attribute
+// differences when nothing is selected.
+
+function compareAttrType(attr) {
+  return attr.object_type || attr.type || '';
+}
+
+function compareAttrProfiles(attr) {
+  return (attr.profiles || []).slice().sort().join(', ');
+}
+
+// { onlyA: [name], onlyB: [name], changed: [{ name, changes: [{ field, a, b }] }], same }
+function compareClassAttributes(a, b) {
+  const attrsA = a.attributes || {};
+  const attrsB = b.attributes || {};
+  const diff = { onlyA: [], onlyB: [], changed: [], same: 0 };
+
+  for (const name of Object.keys(attrsA).sort()) {
+    const x = attrsA[name];
+    const y = attrsB[name];
+    if (!y) { diff.onlyA.push(name); continue; }
+
+    const changes = [
+      ['type', compareAttrType(x), compareAttrType(y)],
+      ['requirement', x.requirement || 'optional', y.requirement || 'optional'],
+      ['profiles', compareAttrProfiles(x), compareAttrProfiles(y)],
+    ].filter(([_, va, vb]) => va !== vb).map(([field, va, vb]) => ({ field, a: va, b: vb }));
+
+    if (changes.length) diff.changed.push({ name, changes });
+    else diff.same++;
+  }
+  diff.onlyB = Object.keys(attrsB).filter(name => !attrsA[name]).sort();
+  return diff;
+}
+
+async function buildCompareGraph(nameA, nameB) {
+  const elsA = await buildScopedClassGraph(nameA);
+  const elsB = await buildScopedClassGraph(nameB);
+  const detailA = S.classDetails[nameA];
+  const detailB = S.classDetails[nameB];
+  S.compare = { a: detailA, b: detailB, nameA, nameB, diff: compareClassAttributes(detailA, detailB) };
+
+  const merged = new Map();
+  for (const el of [...elsA, ...elsB]) {
+    if (!merged.has(el.data.id)) merged.set(el.data.id, el);
+  }
+
+  // An attribute edge is shared when the other class has the same attribute
+  // with the same object type
+  const sides = new Map();
+  for (const { data } of merged.values()) {
+    if (!data.source || !data.type || !data.type.startsWith('has_attr')) continue;
+    const side = data.source === `cls_${nameA}` ? 'a' : 'b';
+    const other = (side === 'a' ? detailB : detailA).attributes || {};
+    const attr = other[data.label];
+    data.compare = attr && `obj_${attr.object_type}` === data.target ? 'both' : side;
+
+    if (!sides.has(data.target)) sides.set(data.target, new Set());
+    sides.get(data.target).add(data.compare === 'both' ? 'both' : side);
+  }
+
+  for (const { data } of merged.values()) {
+    if (data.id === `cls_${nameA}`) data.compare = 'a';
+    else if (data.id === `cls_${nameB}`) data.compare = 'b';
+    else if (sides.has(data.id)) {
+      const set = sides.get(data.id);
+      data.compare = set.size === 1 && !set.has('both') ? [...set][0] : 'both';
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+function compareStatus() {
+  const { diff, nameA, nameB } = S.compare;
+  return `${nameA} vs ${nameB} · ${diff.onlyA.length} only in ${nameA} · ` +
+    `${diff.onlyB.length} only in ${nameB} · ${diff.changed.length} different`;
+}
+
+function compareSection(label, count, body, color) {
+  if (!count) return '';
+  return `
+    <div class="attr-section">
+      <div class="attr-section-header" onclick="this.parentElement.classList.toggle('collapsed')">
+        ${color ? `<span class="req-dot" style="background:${color}"></span>` : ''}
+        <h3>${label}</h3>
+        <span class="attr-count">${count}</span>
+        <span class="chevron">▾</span>
+      </div>
+      <div class="attr-list">${body}</div>
+    </div>`;
+}
+
+function renderCompareDetail() {
+  const { a, b, nameA, nameB, diff } = S.compare;
+  const captionA = a.caption || nameA;
+  const captionB = b.caption || nameB;
+  const attrsA = a.attributes || {};
+  const attrsB = b.attributes || {};
+
+  const only = (names, attrs) => names.map(name => `
+    <div class="attr-item ${(attrs[name].requirement || 'optional').toLowerCase()}">
+      <div class="attr-name">${name} <span class="attr-type">${compareAttrType(attrs[name])}</span></div>
+    </div>`).join('');
+
+  const changed = diff.changed.map(({ name, changes }) => `
+    <div class="attr-item optional compare-change">
+      <div class="attr-name">${name}</div>
+      ${changes.map(c => `
+        <div class="compare-field">
+          ${c.field}:
+          <span style="color:${COMPARE_COLOR.a}">${c.a || '—'}</span> →
+          <span style="color:${COMPARE_COLOR.b}">${c.b || '—'}</span>
+        </div>`).join('')}
+    </div>`).join('');
+
+  document.getElementById('detail-inner').innerHTML = `
+    <div class="detail-content">
+      <div class="detail-header">
+        <span class="type-badge class">Compare</span>
+        <h2><span style="color:${COMPARE_COLOR.a}">${captionA}</span> vs <span style="color:${COMPARE_COLOR.b}">${captionB}</span></h2>
+        <div class="detail-meta">${diff.same} identical attribute${diff.same === 1 ? '' : 's'} · ${diff.changed.length} different</div>
+      </div>
+      ${compareSection('Different', diff.changed.length, changed)}
+      ${compareSection(`Only in ${captionA}`, diff.onlyA.length, only(diff.onlyA, attrsA), COMPARE_COLOR.a)}
+      ${compareSection(`Only in ${captionB}`, diff.onlyB.length, only(diff.onlyB, attrsB), COMPARE_COLOR.b)}
+    </div>`;
+}
+
+function compareWith(name) {
+  const params = new URLSearchParams(window.location.search);
+  name = name.trim();
+  if (name && name !== SCOPE_CLASS) params.set('compare', name);
+  else params.delete('compare');
+  window.location.search = '?' + params.toString();
+}
+
+function initCompareControl() {
+  const control = document.getElementById('compare-control');
+  if (!control) return;
+  if (!SCOPE_CLASS) { control.style.display = 'none'; return; }
+
+  document.getElementById('compare-classes').innerHTML = S.classes
+    .map(c => `<option value="${c.extension ? `${c.extension}/${c.name}` : c.name}">${c.caption || c.name}</option>`)
+    .join('');
+  if (SCOPE_COMPARE) {
+    document.getElementById('compare-target').value = SCOPE_COMPARE;
+    document.getElementById('btn-compare-exit').style.display = '';
+  }
+}
+
+// ─── Object model ────────────────────────────────────────────────────────────
+
+// The objects mode (?mode=objects) draws every object, with its extends edge
+// and one `references` edge per pair of objects linked by object-typed
+// attributes. /api/objects has no attributes, so the objects come from the
+// schema export with the extension and profile selection (schema_export in app.js).
+// Objects grow with the number of objects that reference them.
+
+const REQUIREMENT_RANK = { optional: 0, recommended: 1, required: 2 };
+
+async function loadObjectModel() {
+  const schema = await schema_export();
+  S.objectModel = Object.entries(schema.objects).map(([key, obj]) => ({ ...obj, key }));
+}
+
+function buildObjectModelEls() {
+  const known = new Map(S.objectModel.map(o => [o.key, o]));
+  const edges = new Map();
+  const inDegree = {};
+  const outDegree = {};
+
+  for (const obj of S.objectModel) {
+    for (const [attrName, attr] of Object.entries(obj.attributes)) {
+      if (!attr.object_type || !known.has(attr.object_type)) continue;
+
+      const id = `e_ref_${obj.key}_${attr.object_type}`;
+      let edge = edges.get(id);
+      if (!edge) {
+        edge = {
+          id, source: `obj_${obj.key}`, target: `obj_${attr.object_type}`,
+          type: 'references', attributes: [], requirement: 'optional', profiles: [],
+        };
+        edges.set(id, edge);
+        if (attr.object_type !== obj.key) {
+          inDegree[attr.object_type] = (inDegree[attr.object_type] || 0) + 1;
+          outDegree[obj.key] = (outDegree[obj.key] || 0) + 1;
+        }
+      }
+      // Profiles only when every attribute comes from a profile, so the edge
+      // is hidden once all of them are
+      edge.profiles = attr.profiles && (edge.attributes.length === 0 || edge.profiles.length)
+        ? Array.from(new Set([...edge.profiles, ...attr.profiles]))
+        : [];
+      edge.attributes.push(attrName);
+      const requirement = attr.requirement || 'optional';
+      if (REQUIREMENT_RANK[requirement] > REQUIREMENT_RANK[edge.requirement]) edge.requirement = requirement;
+    }
+  }
+
+  const els = [];
+  if (S.clusters) {
+    const clusters = new Set(S.objectModel.map(o => o.extension || ''));
+    for (const ext of clusters) {
+      els.push({ data: {
+        id: `ext_${ext || '_core_'}`, label: ext || 'OCSF',
+        type: 'cluster', nodeType: 'cluster', name: ext || 'ocsf',
+      }});
+    }
+  }
+
+  for (const obj of S.objectModel) {
+    const degree = inDegree[obj.key] || 0;
+    const scale = 1 + Math.min(Math.sqrt(degree) / 3, 1.5);
+    els.push({ data: {
+      id: `obj_${obj.key}`,
+      label: (obj.caption || obj.name || obj.key).replace(/ /g, '\n'),
+      type: obj['@deprecated'] ? 'object-deprecated' : 'object',
+      nodeType: 'object', name: obj.name || obj.key,
+      extension: obj.extension || null, caption: obj.caption || obj.name,
+      description: obj.description,
+      inDegree: degree, outDegree: outDegree[obj.key] || 0,
+      width: Math.round(80 * scale), height: Math.round(36 * scale),
+      ...(S.clusters ? { parent: `ext_${obj.extension || '_core_'}` } : {}),
+    }});
+
+    if (obj.extends && obj.extends !== 'object' && known.has(obj.extends)) {
+      els.push({ data: {
+        id: `e_ext_${obj.key}`, source: `obj_${obj.extends}`, target: `obj_${obj.key}`, type: 'extends',
+      }});
+    }
+  }
+
+  for (const edge of edges.values()) {
+    els.push({ data: { ...edge, label: edge.attributes.join(', ') } });
+  }
+  return els;
+}
+
+function objectModelStatus() {
+  const objects = S.cy.nodes('[nodeType="object"]:visible').length;
+  const references = S.cy.edges('[type="references"]:visible').length;
+  return `${objects} objects · ${references} references`;
+}
+
+// Leaves reference no other object; the degree counts the distinct objects
+// referencing and referenced by an object.
+function objectModelHidden(node) {
+  const { inDegree, outDegree } = node.data();
+  return (S.hideLeaves && !outDegree) || inDegree + outDegree < S.minDegree;
+}
+
+function setObjectModelFilter(filter) {
+  if (!S.cy || SCOPE_MODE !== 'objects') return;
+  Object.assign(S, filter);
+  applyFilters();
+  relayoutVisible({ fit: false });
+}
+
+function setObjectClusters(on) {
+  if (!S.cy || SCOPE_MODE !== 'objects') return;
+  S.clusters = on;
+  clearSelection();
+  S.cy.batch(() => {
+    S.cy.elements().remove();
+    S.cy.add(buildObjectModelEls());
+  });
+  applyFilters();
+  relayoutVisible();
+}
+
+function initObjectModelControl() {
+  if (SCOPE_MODE !== 'objects') return;
+  document.getElementById('objects-control').style.display = '';
+  document.getElementById('objects-degree').max = Math.max(10, ...S.cy.nodes('[nodeType="object"]')
+    .map(n => Math.min(n.data('inDegree') + n.data('outDegree'), 30)));
+}
+
+// ─── Filters ─────────────────────────────────────────────────────────────────
+
+// The filter panel hides attribute edges by requirement and by profile, and
+// nodes by extension or deprecation. In the class and object views, whatever
+// is no longer connected to the scoped node (or the compared class) is hidden
+// too. The deprecation switch mirrors "Show deprecated" in the sidebar. Hidden
+// values are kept in the URL hash as filter=optional,profile:host,extension:win.
+
+let filterTimer = null;
+let filterValues = '';
+
+function showDeprecated() {
+  const global = document.getElementById('show-deprecated-global');
+  return !global || global.checked;
+}
+
+// Extension objects are named ext/name in the scoped views
+function nodeExtension(d) {
+  if (d.extension) return d.extension;
+  const i = d.name ? d.name.indexOf('/') : -1;
+  return i > 0 ? d.name.slice(0, i) : null;
+}
+
+function nodeFiltered(node) {
+  const d = node.data();
+  if (d.nodeType === 'cluster' || node.id() === scopeRootId() || node.id() === compareRootId()) return false;
+  if (!showDeprecated() && d.type && d.type.endsWith('-deprecated')) return true;
+  const ext = nodeExtension(d);
+  if (ext && S.filters.extensions.has(ext)) return true;
+  return SCOPE_MODE === 'objects' && objectModelHidden(node);
+}
+
+function edgeFiltered(edge) {
+  const d = edge.data();
+  if (!showDeprecated() && d.type === 'has_attr_deprecated') return true;
+  if (d.requirement && S.filters.requirements.has(d.requirement)) return true;
+  return !!(d.profiles && d.profiles.length && d.profiles.every(p => S.filters.profiles.has(p)));
+}
+
+function applyFilters() {
+  if (!S.cy) return;
+
+  S.cy.batch(() => {
+    let nodes = S.cy.nodes().filter(n => !nodeFiltered(n));
+    const endpointsShown = e => nodes.contains(e.source()) && nodes.contains(e.target());
+    let edges = S.cy.edges().filter(e => !edgeFiltered(e) && endpointsShown(e));
+
+    const roots = scopeRoots();
+    if (roots.length) {
+      nodes = nodes.union(edges).breadthFirstSearch({ root: roots, directed: false }).path.nodes();
+      edges = edges.filter(endpointsShown);
+    }
+    nodes = nodes.filter(n => n.data('nodeType') !== 'cluster' || n.children().intersection(nodes).length);
+
+    const shown = nodes.union(edges);
+    S.cy.elements().not(shown).style('display', 'none');
+    shown.removeStyle('display');
+  });
+
+  renderFilterPanel();
+  scheduleGraphList();
+  if (SCOPE_MODE === 'objects') setStatus(objectModelStatus());
+}
+
+// Lays out the visible elements only, starting from their current positions
+function relayoutVisible(opts) {
+  const name = document.getElementById('layout-select').value;
+  S.cy.elements(':visible').layout({
+    ...layoutOpts(name), randomize: false, animate: true, animationDuration: 400, ...opts,
+  }).run();
+}
+
+function onFilterChange() {
+  clearTimeout(filterTimer);
+  filterTimer = setTimeout(() => {
+    applyFilters();
+    relayoutVisible({ fit: false });
+    saveViewState();
+  }, 150);
+}
+
+// The profile and extension toggles list what the graph contains, so they
+// are rebuilt when expansion or the where-used view adds to it.
+function renderFilterPanel() {
+  const profiles = new Set();
+  const extensions = new Set();
+  S.cy.edges().forEach(e => (e.data('profiles') || []).forEach(p => profiles.add(p)));
+  S.cy.nodes().forEach(n => { const ext = nodeExtension(n.data()); if (ext) extensions.add(ext); });
+
+  const values = JSON.stringify([[...profiles].sort(), [...extensions].sort()]);
+  if (values !== filterValues) {
+    filterValues = values;
+    renderFilterToggles('filter-profiles', 'profile', [...profiles].sort(), S.filters.profiles);
+    renderFilterToggles('filter-extensions', 'extension', [...extensions].sort(), S.filters.extensions);
+  }
+
+  document.getElementById('filter-deprecated').checked = !showDeprecated();
+  const count = filterState().length;
+  document.getElementById('filter-count').textContent = count ? count : '';
+}
+
+function renderFilterToggles(id, kind, values, hidden) {
+  const group = document.getElementById(id);
+  group.style.display = values.length ? '' : 'none';
+  group.querySelector('.filter-options').innerHTML = values.map(v => `
+    <label><input type="checkbox" data-filter="${kind}" value="${v}"${hidden.has(v) ? '' : ' checked'}> ${v}</label>
+  `).join('');
+}
+
+function filterState() {
+  return [
+    ...S.filters.requirements,
+    ...[...S.filters.profiles].map(p => `profile:${p}`),
+    ...[...S.filters.extensions].map(e => `extension:${e}`),
+  ];
+}
+
+function restoreFilters(value) {
+  for (const item of (value || '').split(',').filter(Boolean)) {
+    const [kind, name] = item.split(/:(.*)/);
+    if (kind === 'profile') S.filters.profiles.add(name);
+    else if (kind === 'extension') S.filters.extensions.add(name);
+    else if (REQUIREMENT_RANK[kind] !== undefined) S.filters.requirements.add(kind);
+  }
+  document.querySelectorAll('#filter-panel input[data-filter="requirement"]').forEach(input => {
+    input.checked = !S.filters.requirements.has(input.value);
+  });
+  filterValues = '';
+}
+
+function toggleFilterPanel() {
+  const panel = document.getElementById('filter-panel');
+  const open = panel.style.display === 'none';
+  panel.style.display = open ? '' : 'none';
+  document.getElementById('btn-filter').classList.toggle('active', open);
+  document.getElementById('btn-filter').setAttribute('aria-expanded', open);
+}
+
+function initFilterPanel() {
+  document.getElementById('filter-panel').addEventListener('change', (e) => {
+    const input = e.target;
+    if (input.id === 'filter-deprecated') {
+      // The sidebar's change handler re-applies the filters
+      $('#show-deprecated-global').prop('checked', !input.checked).trigger('change');
+      onFilterChange();
+      return;
+    }
+
+    const hidden = {
+      requirement: S.filters.requirements, profile: S.filters.profiles, extension: S.filters.extensions,
+    }[input.dataset.filter];
+    if (!hidden) return;
+    if (input.checked) hidden.delete(input.value);
+    else hidden.add(input.value);
+    onFilterChange();
+  });
+}
+
+// ─── Keyboard and screen readers ─────────────────────────────────────────────
+
+// The graph container is focusable. Arrow keys move to the connected node in
+// that direction (or the nearest node when there is none), Tab and Shift+Tab
+// step through the neighbors of the node where tabbing started and leave the
+// graph after the last one, Enter runs onNodeClick and Shift+Enter navigates
+// like a double-click. #graph-list mirrors the visible nodes and edges for
+// screen readers and #graph-announcer reads out the focused node.
+
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+};
+
+let graphListTimer = null;
+
+function focusableNodes() {
+  return S.cy.nodes(':visible').filter(n => n.data('nodeType') !== 'cluster');
+}
+
+function defaultFocusNode() {
+  const roots = scopeRoots().filter(':visible');
+  return roots.length ? roots[0] : focusableNodes()[0];
+}
+
+function nodeKind(d) {
+  return { category: 'Category', class: 'Class', object: 'Object' }[d.nodeType] || 'Node';
+}
+
+function describeNode(node) {
+  const d = node.data();
+  const count = node.neighborhood('node:visible').length;
+  return `${nodeKind(d)} ${d.caption || d.name}, ${count} connected node${count === 1 ? '' : 's'}` +
+    (d.expanded ? ', expanded' : '') + (S.selected === node.id() ? ', selected' : '');
+}
+
+function setKeyboardFocus(node) {
+  S.cy.nodes('.focused').removeClass('focused');
+  S.focused = node ? node.id() : null;
+  document.querySelectorAll('#graph-list [aria-current]').forEach(el => el.removeAttribute('aria-current'));
+  if (!node) return;
+
+  node.addClass('focused');
+  const ext = S.cy.extent();
+  const { x, y } = node.position();
+  if (x < ext.x1 || x > ext.x2 || y < ext.y1 || y > ext.y2) {
+    S.cy.animate({ center: { eles: node } }, { duration: 200 });
+  }
+
+  const item = document.querySelector(`#graph-list button[data-node="${CSS.escape(node.id())}"]`);
+  if (item) item.setAttribute('aria-current', 'true');
+  document.getElementById('graph-announcer').textContent = describeNode(node);
+}
+
+// The candidate closest to the direction (dx, dy), favoring straight lines
+function nodeInDirection(from, candidates, dx, dy) {
+  const p = from.position();
+  let best = null;
+  let bestScore = Infinity;
+  candidates.forEach(n => {
+    const q = n.position();
+    const vx = q.x - p.x;
+    const vy = q.y - p.y;
+    const along = vx * dx + vy * dy;
+    if (along <= 0) return;
+    const score = along + Math.abs(vx * dy - vy * dx) * 2;
+    if (score < bestScore) { best = n; bestScore = score; }
+  });
+  return best;
+}
+
+function onGraphKeydown(e) {
+  if (!S.cy || e.target.id !== 'cy') return;
+  const nodes = focusableNodes();
+  if (!nodes.length) return;
+
+  let focused = S.focused && S.cy.getElementById(S.focused);
+  if (!focused || !focused.length || !focused.visible()) focused = null;
+
+  if (ARROW_KEYS[e.key]) {
+    e.preventDefault();
+    S.keyHub = null;
+    if (!focused) { setKeyboardFocus(defaultFocusNode()); return; }
+    const [dx, dy] = ARROW_KEYS[e.key];
+    const next = nodeInDirection(focused, focused.neighborhood('node:visible'), dx, dy) ||
+      nodeInDirection(focused, nodes.not(focused), dx, dy);
+    if (next) setKeyboardFocus(next);
+  } else if (e.key === 'Tab') {
+    if (!focused) {
+      if (e.shiftKey) return;
+      e.preventDefault();
+      setKeyboardFocus(defaultFocusNode());
+      return;
+    }
+
+    let hub = S.keyHub && S.cy.getElementById(S.keyHub);
+    if (!hub || !hub.length || !(hub.same(focused) || hub.neighborhood().contains(focused))) {
+      hub = focused;
+      S.keyHub = hub.id();
+    }
+    const ring = hub.neighborhood('node:visible').toArray()
+      .sort((a, b) => (a.data('caption') || '').localeCompare(b.data('caption') || ''));
+    const i = ring.findIndex(n => n.same(focused));
+    const next = e.shiftKey ? i - 1 : i + 1;
+
+    // Past either end, Tab moves on to the rest of the page
+    if (next >= ring.length || (e.shiftKey && i < 0)) return;
+    e.preventDefault();
+    setKeyboardFocus(next < 0 ? hub : ring[next]);
+  } else if (e.key === 'Enter' && focused) {
+    e.preventDefault();
+    if (e.shiftKey) navigateToNode(focused);
+    else onNodeClick(focused).then(() => setKeyboardFocus(focused));
+  } else if (e.key === 'Home') {
+    e.preventDefault();
+    setKeyboardFocus(defaultFocusNode());
+  } else if (e.key === 'Escape') {
+    S.keyHub = null;
+    clearSelection();
+  }
+}
+
+function edgeDescription(edge) {
+  const d = edge.data();
+  const target = edge.target().data();
+  const name = target.caption || target.name;
+  switch (d.type) {
+    case 'contains': return `contains ${nodeKind(target).toLowerCase()} ${name}`;
+    case 'extends': return `extended by ${name}`;
+    default:
+      return `${d.label || (d.attributes || []).join(', ') || 'attribute'}${d.requirement ? ` (${d.requirement})` : ''} → ${name}` +
+        (d.type === 'has_attr_deprecated' ? ', deprecated' : '') + (d.cycle ? ', cycle' : '');
+  }
+}
+
+function scheduleGraphList() {
+  clearTimeout(graphListTimer);
+  graphListTimer = setTimeout(renderGraphList, 200);
+}
+
+// One item per visible node, with its outgoing visible edges
+function renderGraphList() {
+  const list = document.getElementById('graph-list');
+  if (!list || !S.cy) return;
+
+  const nodes = focusableNodes().toArray().sort((a, b) =>
+    nodeKind(a.data()).localeCompare(nodeKind(b.data())) ||
+    (a.data('caption') || '').localeCompare(b.data('caption') || ''));
+
+  document.getElementById('graph-list-title').textContent =
+    `${nodes.length} nodes, ${S.cy.edges(':visible').length} edges`;
+  list.innerHTML = nodes.map(n => {
+    const edges = n.outgoers('edge:visible');
+    return `<li><button type="button" data-node="${escape_html(n.id())}"` +
+      `${n.id() === S.focused ? ' aria-current="true"' : ''}>` +
+      `${nodeKind(n.data())} ${escape_html(n.data('caption') || n.data('name'))}</button>` +
+      (edges.length ? `<ul>${edges.map(e => `<li>${escape_html(edgeDescription(e))}</li>`).join('')}</ul>` : '') +
+      '</li>';
+  }).join('');
+}
+
+function initKeyboardNavigation() {
+  const container = document.getElementById('cy');
+  container.addEventListener('keydown', onGraphKeydown);
+  container.addEventListener('focus', () => {
+    const node = S.focused && S.cy.getElementById(S.focused);
+    if (node && node.length) setKeyboardFocus(node);
+  });
+  container.addEventListener('blur', () => S.cy.nodes('.focused').removeClass('focused'));
+
+  // The list selects like a click; Shift+Enter navigates like a double-click
+  const list = document.getElementById('graph-list');
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-node]');
+    const node = button && S.cy.getElementById(button.dataset.node);
+    if (!node || !node.length) return;
+    S.focused = node.id();
+    onNodeClick(node);
+  });
+  list.addEventListener('keydown', (e) => {
+    const button = e.target.closest('button[data-node]');
+    if (!button || e.key !== 'Enter' || !e.shiftKey) return;
+    e.preventDefault();
+    const node = S.cy.getElementById(button.dataset.node);
+    if (node.length) navigateToNode(node);
+  });
+
+  S.cy.on('add remove', scheduleGraphList);
+  renderGraphList();
+}
+
+// ─── Minimap ─────────────────────────────────────────────────────────────────
+
+// An overview of the visible graph with the viewport outlined; clicking or
+// dragging in it pans the graph. It is redrawn at most once per frame.
+
+let minimapFrame = null;
+let minimapView = null;
+
+function scheduleMinimap() {
+  if (minimapFrame) return;
+  minimapFrame = requestAnimationFrame(() => {
+    minimapFrame = null;
+    drawMinimap();
+  });
+}
+
+function drawMinimap() {
+  const canvas = document.getElementById('minimap');
+  if (!S.cy || !canvas || canvas.style.display === 'none') return;
+
+  const w = canvas.clientWidth;
+  const h = canvas.clientHeight;
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== w * ratio) { canvas.width = w * ratio; canvas.height = h * ratio; }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const nodes = S.cy.nodes(':visible').filter(n => n.data('nodeType') !== 'cluster');
+  if (!nodes.length) { minimapView = null; return; }
+
+  const bb = nodes.boundingBox();
+  const pad = 6;
+  const scale = Math.min((w - pad * 2) / (bb.w || 1), (h - pad * 2) / (bb.h || 1));
+  const ox = (w - bb.w * scale) / 2 - bb.x1 * scale;
+  const oy = (h - bb.h * scale) / 2 - bb.y1 * scale;
+  minimapView = { scale, ox, oy };
+
+  const palette = graphPalette();
+  ctx.globalAlpha = 0.35;
+  ctx.strokeStyle = palette.edge;
+  ctx.lineWidth = 0.5;
+  ctx.beginPath();
+  S.cy.edges(':visible').forEach(e => {
+    const s = e.source().position();
+    const t = e.target().position();
+    ctx.moveTo(s.x * scale + ox, s.y * scale + oy);
+    ctx.lineTo(t.x * scale + ox, t.y * scale + oy);
+  });
+  ctx.stroke();
+
+  ctx.globalAlpha = 1;
+  nodes.forEach(n => {
+    const { x, y } = n.position();
+    const nw = Math.max(2, n.width() * scale);
+    const nh = Math.max(2, n.height() * scale);
+    ctx.fillStyle = n.style('background-color');
+    ctx.fillRect(x * scale + ox - nw / 2, y * scale + oy - nh / 2, nw, nh);
+  });
+
+  const ext = S.cy.extent();
+  ctx.strokeStyle = palette.selection;
+  ctx.lineWidth = 1.5;
+  ctx.strokeRect(ext.x1 * scale + ox, ext.y1 * scale + oy, ext.w * scale, ext.h * scale);
+}
+
+function panFromMinimap(e) {
+  if (!minimapView) return;
+  const rect = e.currentTarget.getBoundingClientRect();
+  const x = (e.clientX - rect.left - minimapView.ox) / minimapView.scale;
+  const y = (e.clientY - rect.top - minimapView.oy) / minimapView.scale;
+  const zoom = S.cy.zoom();
+  S.cy.pan({ x: S.cy.width() / 2 - x * zoom, y: S.cy.height() / 2 - y * zoom });
+}
+
+function toggleMinimap() {
+  const canvas = document.getElementById('minimap');
+  const shown = canvas.style.display === 'none';
+  canvas.style.display = shown ? '' : 'none';
+  document.getElementById('btn-minimap').classList.toggle('active', shown);
+  document.getElementById('btn-minimap').setAttribute('aria-pressed', shown);
+  if (shown) scheduleMinimap();
+}
+
+function initMinimap() {
+  const canvas = document.getElementById('minimap');
+  if (!canvas) return;
+  canvas.addEventListener('pointerdown', (e) => {
+    canvas.setPointerCapture(e.pointerId);
+    panFromMinimap(e);
+  });
+  canvas.addEventListener('pointermove', (e) => { if (e.buttons) panFromMinimap(e); });
+  S.cy.on('render', scheduleMinimap);
+  scheduleMinimap();
+}
+
+// ─── URL state ───────────────────────────────────────────────────────────────
+
+// The view is kept in the URL hash, next to the scope in the query string:
+// #layout=breadthfirst&zoom=1.2&pan=10,-40&depth=2&expanded=obj_user,obj_file
+//  &selected=obj_user&q=proc&filter=optional&panel=collapsed
+
+let hashTimer = null;
+
+function viewState() {
+  const state = new URLSearchParams();
+  const layout = document.getElementById('layout-select').value;
+  if (layout !== 'cose') state.set('layout', layout);
+  state.set('zoom', S.cy.zoom().toFixed(3));
+  const pan = S.cy.pan();
+  state.set('pan', `${Math.round(pan.x)},${Math.round(pan.y)}`);
+  if (S.depth > 1) state.set('depth', S.depth);
+  const expanded = S.cy.nodes('[?expanded]').map(n => n.id());
+  if (expanded.length) state.set('expanded', expanded.join(','));
+  if (S.selected) state.set('selected', S.selected);
+  if (S.search) state.set('q', S.search);
+  const filter = filterState();
+  if (filter.length) state.set('filter', filter.join(','));
+  if (document.getElementById('detail-panel').classList.contains('collapsed')) state.set('panel', 'collapsed');
+  return state;
+}
+
+// Debounced, since zooming and panning fire many viewport events.
+function saveViewState() {
+  if (!S.cy || S.restoring) return;
+  clearTimeout(hashTimer);
+  hashTimer = setTimeout(() => {
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${viewState()}`);
+  }, 300);
+}
+
+async function restoreViewState() {
+  const state = new URLSearchParams(window.location.hash.substring(1));
+  if (![...state.keys()].length) return false;
+
+  S.restoring = true;
+  try {
+    const layout = state.get('layout');
+    if (layout && layoutOpts(layout).name === layout) {
+      document.getElementById('layout-select').value = layout;
+    }
+
+    const depth = Number(state.get('depth')) || 1;
+    if (depth > 1 && scopeRootId()) {
+      document.getElementById('depth-range').value = depth;
+      await expandToDepth(Math.min(depth, MAX_DEPTH));
+    }
+
+    // Nodes are stored in the order they were added, so parents come first
+    for (const id of (state.get('expanded') || '').split(',').filter(Boolean)) {
+      const node = S.cy.getElementById(id);
+      if (node.length && node.data('nodeType') === 'object' && !node.data('expanded')) {
+        await expandObjectNode(node);
+      }
+    }
+    markCycles();
+    restoreFilters(state.get('filter'));
+    applyFilters();
+
+    const run = S.cy.elements(':visible').layout(layoutOpts(document.getElementById('layout-select').value));
+    const done = run.pon('layoutstop');
+    run.run();
+    await done;
+
+    if (state.get('panel') === 'collapsed') togglePanel();
+
+    const q = state.get('q');
+    if (q) {
+      document.getElementById('search-box').value = q;
+      onSearch(q);
+    }
+
+    const selected = state.get('selected') && S.cy.getElementById(state.get('selected'));
+    if (selected && selected.length) await onNodeClick(selected);
+
+    const zoom = parseFloat(state.get('zoom'));
+    const pan = (state.get('pan') || '').split(',').map(Number);
+    if (zoom) S.cy.zoom(zoom);
+    if (pan.length === 2 && pan.every(Number.isFinite)) S.cy.pan({ x: pan[0], y: pan[1] });
+
+    return !!(selected && selected.length);
+  } finally {
+    S.restoring = false;
+  }
+}
+
 // ─── Schema loading & init ───────────────────────────────────────────────────
 
 async function loadSchema() {
@@ -783,21 +2557,39 @@ async function loadSchema() {
 
     // Build a focused graph for the scoped entity
     let els;
-    if (SCOPE_CLASS) {
+    if (SCOPE_COMPARE) {
+      els = await buildCompareGraph(SCOPE_CLASS, SCOPE_COMPARE);
+    } else if (SCOPE_CLASS) {
       els = await buildScopedClassGraph(SCOPE_CLASS);
     } else if (SCOPE_OBJECT) {
       els = await buildScopedObjectGraph(SCOPE_OBJECT);
     } else if (SCOPE_CATEGORY) {
       els = await buildScopedCategoryGraph(SCOPE_CATEGORY);
+    } else if (SCOPE_MODE === 'objects') {
+      await loadObjectModel();
+      els = buildObjectModelEls();
     } else {
       els = buildEventEls();
     }
 
+    initGraphTheme();
     initCy(els, 'cose');
     initNodeNavigation();
+    initDepthControl();
+    initInboundControl();
+    initObjectModelControl();
+    initCompareControl();
+    initFilterPanel();
+    initKeyboardNavigation();
+    initMinimap();
+    markCycles();
+    applyFilters();
 
     // Show contextual stats
-    if (SCOPE_CLASS && S.classDetails[SCOPE_CLASS]) {
+    if (S.compare) {
+      setStatus(compareStatus());
+      clearDetailPanel();
+    } else if (SCOPE_CLASS && S.classDetails[SCOPE_CLASS]) {
       const attrs = S.classDetails[SCOPE_CLASS].attributes || {};
       const total = Object.keys(attrs).length;
       const objCount = Object.values(attrs).filter(a => a.object_type).length;
@@ -812,12 +2604,17 @@ async function loadSchema() {
     } else if (SCOPE_CATEGORY) {
       const catClasses = els.filter(e => e.data.nodeType === 'class').length;
       setStatus(`${catClasses} classes`);
+    } else if (SCOPE_MODE === 'objects') {
+      setStatus(objectModelStatus());
     } else {
       setStatus('');
     }
 
+    const restoredSelection = await restoreViewState();
+    S.cy.on('viewport', saveViewState);
+
     // Auto-select center node
-    if (SCOPE_CLASS || SCOPE_OBJECT) {
+    if ((SCOPE_CLASS || SCOPE_OBJECT) && !SCOPE_COMPARE && !restoredSelection) {
       setTimeout(() => {
         const targetId = SCOPE_CLASS ? `cls_${SCOPE_CLASS}` : `obj_${SCOPE_OBJECT}`;
         const targetNode = S.cy.getElementById(targetId);
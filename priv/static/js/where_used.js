@@ -0,0 +1,153 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Reverse object references ("where used"). The index maps every object to the
+// classes and objects that have an attribute of that object type. It is built
+// from the schema export with the current extension and profile selection (see
+// schema_export in app.js).
+
+let where_used_index = null;
+
+function load_where_used_index() {
+  if (!where_used_index) {
+    where_used_index = schema_export()
+      .then(build_where_used_index)
+      .catch(function(e) {
+        where_used_index = null;
+        throw e;
+      });
+  }
+  return where_used_index;
+}
+
+function build_where_used_index(schema) {
+  const categories = (schema.categories && schema.categories.attributes) || {};
+  const index = {};
+
+  function add(kind, name, item, group) {
+    Object.entries(item.attributes || {}).forEach(function([attr_name, attr]) {
+      if (!attr.object_type) return;
+
+      const refs = index[attr.object_type] = index[attr.object_type] || {};
+      const key = kind + ':' + name;
+      if (!refs[key]) {
+        refs[key] = {
+          kind: kind, name: name, caption: item.caption || name, group: group,
+          deprecated: !!item['@deprecated'], attributes: [], requirements: {}
+        };
+      }
+      refs[key].attributes.push(attr_name);
+      refs[key].requirements[attr_name] = attr.requirement || 'optional';
+    });
+  }
+
+  Object.entries(schema.classes || {}).forEach(function([name, cls]) {
+    add('class', name, cls, cls.category || 'other');
+  });
+
+  Object.entries(schema.objects || {}).forEach(function([name, obj]) {
+    add('object', name, obj, null);
+  });
+
+  return { categories: categories, references: index };
+}
+
+// Returns the references to an object grouped by category, in category uid
+// order, with referencing objects as the last group:
+// [{ group, caption, references: [{ kind, name, caption, attributes, requirements, deprecated }] }]
+async function where_used(name) {
+  const index = await load_where_used_index();
+  const groups = {};
+
+  Object.values(index.references[name] || {}).forEach(function(ref) {
+    const key = ref.group || '';
+    if (!groups[key]) {
+      const category = index.categories[key];
+      groups[key] = {
+        group: ref.group,
+        caption: ref.group ? (category ? category.caption : ref.group) : 'Objects',
+        uid: ref.group ? (category ? category.uid : 0) : Infinity,
+        references: []
+      };
+    }
+    groups[key].references.push(ref);
+  });
+
+  return Object.values(groups)
+    .sort(function(a, b) { return a.uid - b.uid; })
+    .map(function(group) {
+      group.references.sort(function(a, b) { return a.caption.localeCompare(b.caption); });
+      group.references.forEach(function(ref) { ref.attributes.sort(); });
+      return group;
+    });
+}
+
+function where_used_summary(groups) {
+  let classes = 0;
+  let objects = 0;
+  groups.forEach(function(group) {
+    if (group.group) classes += group.references.length;
+    else objects += group.references.length;
+  });
+  const categories = groups.filter(function(g) { return g.group; }).length;
+
+  return classes + (classes === 1 ? ' class' : ' classes') +
+    ' in ' + categories + (categories === 1 ? ' category' : ' categories') +
+    ', ' + objects + (objects === 1 ? ' object' : ' objects');
+}
+
+// ─── Object page ─────────────────────────────────────────────────────────────
+
+function init_where_used(name) {
+  const content = document.getElementById('object-used-by');
+  if (!content) return;
+
+  let loaded = false;
+  $('#object-used-by-toggle').on('click', async function() {
+    if (loaded) return;
+    loaded = true;
+    content.innerHTML = '<div class="text-secondary">Loading…</div>';
+
+    try {
+      render_where_used(content, await where_used(name));
+    } catch (e) {
+      loaded = false;
+      content.innerHTML = '<div class="validation-message error">' + escape_html(e.message) + '</div>';
+    }
+  });
+}
+
+function render_where_used(content, groups) {
+  if (groups.length === 0) {
+    content.innerHTML = '<div class="text-secondary">This object is not used by any class or object.</div>';
+    return;
+  }
+
+  content.innerHTML =
+    '<div class="where-used-summary">' + escape_html(where_used_summary(groups)) + '</div>' +
+    groups.map(function(group) {
+      return '<div class="where-used-group">' +
+        '<h6>' + escape_html(group.caption) +
+        ' <span class="text-secondary">(' + group.references.length + ')</span></h6>' +
+        '<ul class="where-used-list">' + group.references.map(where_used_item).join('') + '</ul>' +
+        '</div>';
+    }).join('');
+}
+
+function where_used_item(ref) {
+  const path = (ref.kind === 'class' ? '/classes/' : '/objects/') + ref.name;
+  return '<li' + (ref.deprecated ? ' class="deprecated-item"' : '') + '>' +
+    '<a href="' + escape_html(path) + '">' + escape_html(ref.caption) + '</a>' +
+    ' <span class="text-secondary">' + (ref.kind === 'class' ? 'Class' : 'Object') + '</span>' +
+    ' — ' + ref.attributes.map(function(a) {
+      return '<code>' + escape_html(a) + '</code>';
+    }).join(', ') +
+    '</li>';
+}
@@ -0,0 +1,233 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//   http://www.apache.org/licenses/LICENSE-2.0
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Service worker for offline use of the schema browser. Pages, assets and API
+// responses are always fetched from the network first, copied to the cache in
+// the background, and the cache is only used when the server cannot be reached;
+// the page is then told that it shows cached content (see init_service_worker
+// in app.js). The assets of the page that registered the worker were loaded
+// before it took over, so that page sends their URLs to be cached.
+//
+// API responses are kept in one cache per schema version, taken from the
+// x-schema-version response header. The extension and profile selection is part
+// of the request URL, so every combination is cached separately. Assets are
+// cached by their full URL as well, and a digested build adds new entries with
+// each release rather than replacing the old ones, so the static cache has a
+// limit too and is trimmed again when a new worker takes over.
+
+// Bump the generation when the caching scheme changes; older caches are dropped
+const CACHE_PREFIX = 'ocsf-schema-';
+const CACHE_GENERATION = CACHE_PREFIX + '1-';
+const STATIC_CACHE = CACHE_GENERATION + 'static';
+const PAGE_CACHE = CACHE_GENERATION + 'pages';
+const STALE_CACHE = CACHE_GENERATION + 'stale';
+const API_CACHE = CACHE_GENERATION + 'api-';
+
+const MAX_PAGES = 200;
+const MAX_API_RESPONSES = 1000;
+const MAX_STATIC_FILES = 300;
+
+const STATIC_PATH = /^(js|css|webfonts|images)\//;
+const API_PATH = /^(api|export|schema)\//;
+const UNCACHED_PATH = /^(doc|sample)(\/|$)/;
+
+const OFFLINE_PAGE =
+  '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Offline</title></head>' +
+  '<body style="font-family: sans-serif; padding: 2rem">' +
+  '<h3>The schema server cannot be reached</h3>' +
+  '<p>This page has not been visited before, so no copy of it is available offline.</p>' +
+  '<p><a href="javascript:history.back()">Go back</a></p>' +
+  '</body></html>';
+
+self.addEventListener('install', function() {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', function(event) {
+  event.waitUntil(
+    caches.keys()
+      .then(function(names) {
+        return Promise.all(names.filter(function(name) {
+          return name.startsWith(CACHE_PREFIX) && !name.startsWith(CACHE_GENERATION);
+        }).map(function(name) { return caches.delete(name); }));
+      })
+      .then(function() { return caches.open(STATIC_CACHE); })
+      .then(function(cache) { return trim_cache(cache, MAX_STATIC_FILES); })
+      .then(function() { return self.clients.claim(); })
+  );
+});
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+  const path = request.url.substring(self.registration.scope.length);
+  if (UNCACHED_PATH.test(path)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch_page(event));
+  } else if (STATIC_PATH.test(path)) {
+    event.respondWith(fetch_static(event));
+  } else if (API_PATH.test(path)) {
+    event.respondWith(fetch_api(event));
+  }
+});
+
+self.addEventListener('message', function(event) {
+  const data = event.data || {};
+  if (data.type === 'schema-cache-status') {
+    event.waitUntil(report_stale_page(event.source, data.url, data.requestedAt));
+  } else if (data.type === 'schema-precache' && Array.isArray(data.urls)) {
+    event.waitUntil(precache_static(data.urls));
+  }
+});
+
+// ─── Strategies ──────────────────────────────────────────────────────────────
+
+async function fetch_page(event) {
+  const request = event.request;
+  try {
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil(put_cached(PAGE_CACHE, request, response.clone(), MAX_PAGES));
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request, { cacheName: PAGE_CACHE });
+    if (!cached) {
+      return new Response(OFFLINE_PAGE, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+    await mark_stale(request, cached);
+    return cached;
+  }
+}
+
+async function fetch_static(event) {
+  const request = event.request;
+  try {
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil(put_cached(STATIC_CACHE, request, response.clone(), MAX_STATIC_FILES));
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request, { cacheName: STATIC_CACHE });
+    if (!cached) throw e;
+    return cached;
+  }
+}
+
+async function fetch_api(event) {
+  const request = event.request;
+  try {
+    const response = await fetch(request);
+    const version = response.headers.get('x-schema-version');
+    if (response.ok && version) {
+      event.waitUntil(
+        put_cached(API_CACHE + version, request, response.clone(), MAX_API_RESPONSES)
+          .then(function() { return drop_other_versions(request, API_CACHE + version); })
+      );
+    }
+    return response;
+  } catch (e) {
+    const cached = await match_api(request);
+    if (!cached) throw e;
+    notify_stale(event.clientId, cached);
+    return cached;
+  }
+}
+
+// ─── Cache helpers ───────────────────────────────────────────────────────────
+
+// Stores a copy stamped with the time it was made, dropping the oldest entries
+// beyond the limit.
+async function put_cached(name, request, response, limit) {
+  const headers = new Headers(response.headers);
+  headers.set('x-schema-cached-at', new Date().toISOString());
+  const copy = new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: headers
+  });
+
+  const cache = await caches.open(name);
+  await cache.put(request, copy);
+  if (limit) await trim_cache(cache, limit);
+}
+
+// Cache keys are listed in the order the entries were stored, oldest first.
+async function trim_cache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(function(key) {
+    return cache.delete(key);
+  }));
+}
+
+function api_cache_names() {
+  return caches.keys().then(function(names) {
+    return names.filter(function(name) { return name.startsWith(API_CACHE); });
+  });
+}
+
+// A URL is only kept for the schema version that answered it last, so that a
+// lookup while offline finds the newest response.
+async function drop_other_versions(request, current) {
+  const names = await api_cache_names();
+  await Promise.all(names.filter(function(name) { return name !== current; }).map(async function(name) {
+    return (await caches.open(name)).delete(request);
+  }));
+}
+
+async function match_api(request) {
+  for (const name of await api_cache_names()) {
+    const cached = await (await caches.open(name)).match(request);
+    if (cached) return cached;
+  }
+  return undefined;
+}
+
+async function notify_stale(clientId, response) {
+  const client = clientId ? await self.clients.get(clientId) : null;
+  if (client) {
+    client.postMessage({ type: 'schema-stale', cachedAt: response.headers.get('x-schema-cached-at') });
+  }
+}
+
+// A page answered from the cache is recorded with the time it was answered, so
+// that the page can ask about it once loaded, even from a restarted worker.
+async function mark_stale(request, cached) {
+  const headers = new Headers({
+    'x-schema-cached-at': cached.headers.get('x-schema-cached-at') || '',
+    'x-schema-served-at': String(Date.now())
+  });
+  const cache = await caches.open(STALE_CACHE);
+  await cache.put(request.url, new Response(null, { headers: headers }));
+  await trim_cache(cache, MAX_PAGES);
+}
+
+// requestedAt is the time the page navigation started (performance.timeOrigin);
+// an older record belongs to an earlier visit.
+async function report_stale_page(client, url, requestedAt) {
+  const record = await caches.match(url, { cacheName: STALE_CACHE });
+  if (!client || !record || Number(record.headers.get('x-schema-served-at')) < requestedAt) return;
+  client.postMessage({ type: 'schema-stale', cachedAt: record.headers.get('x-schema-cached-at') });
+}
+
+async function precache_static(urls) {
+  const cache = await caches.open(STATIC_CACHE);
+  await Promise.all(urls.filter(function(url) {
+    return url.startsWith(self.registration.scope) &&
+      STATIC_PATH.test(url.substring(self.registration.scope.length).split('?')[0]);
+  }).map(async function(url) {
+    if (await cache.match(url)) return;
+    try {
+      const response = await fetch(url);
+      if (response.ok) await put_cached(STATIC_CACHE, url, response, MAX_STATIC_FILES);
+    } catch (e) {
+      // offline again; the asset is cached the next time it is fetched
+    }
+  }));
+}
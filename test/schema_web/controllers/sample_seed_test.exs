@@ -0,0 +1,36 @@
+defmodule SchemaWeb.SampleSeedTest do
+  use SchemaWeb.ConnCase
+
+  # Timestamps and UUIDs do not depend on the seed
+  @uuid ~r/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+  @datetime ~r/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/
+
+  defp mask_time(data) when is_map(data), do: Map.new(data, fn {k, v} -> {k, mask_time(v)} end)
+  defp mask_time(data) when is_list(data), do: Enum.map(data, &mask_time/1)
+
+  defp mask_time(data) when is_binary(data) do
+    if Regex.match?(@uuid, data) or Regex.match?(@datetime, data), do: :time, else: data
+  end
+
+  # Milliseconds since the epoch
+  defp mask_time(data) when is_integer(data) and data > 1_000_000_000_000, do: :time
+  defp mask_time(data), do: data
+
+  test "Schema.Generator.seed/1 makes the generated event repeatable" do
+    class = Schema.class(:base_event)
+
+    Schema.Generator.seed(42)
+    first = Schema.generate_event(class, nil)
+    Schema.Generator.seed(42)
+    second = Schema.generate_event(class, nil)
+
+    assert mask_time(first) == mask_time(second)
+  end
+
+  test "the seed parameter makes /sample/classes/:id repeatable", %{conn: conn} do
+    first = conn |> get("/sample/classes/base_event?seed=42") |> json_response(200)
+    second = build_conn() |> get("/sample/classes/base_event?seed=42") |> json_response(200)
+
+    assert mask_time(first) == mask_time(second)
+  end
+end